@@ -1,10 +1,51 @@
 const Attendance = require("../models/Attendance");
 const Employee = require("../models/Employee");
+const Leave = require("../models/Leave");
+const WorkSite = require("../models/WorkSite");
 const { body, param, query, validationResult } = require("express-validator");
 const winston = require("winston");
 const QRCode = require("qrcode");
+const jwt = require("jsonwebtoken");
 const { sendEmailAndNotify } = require("../utils/email");
 const mongoose = require("mongoose");
+const { loadCalendar, countLeaveDaysInRange } = require("../utils/workingDays");
+const { evaluateLocation, siteReferencePoint } = require("../utils/geo");
+const {
+  KIOSK_ROTATION_SECONDS,
+  issuePersonalToken,
+  issueKioskToken,
+  verifyToken,
+  redeemToken,
+} = require("../utils/qrTokens");
+const {
+  FACE_FIELDS,
+  enrolledDescriptors,
+  matchDistance,
+  getFacePolicy,
+  faceThreshold,
+  identifyFace,
+} = require("../utils/faceIndex");
+const {
+  FACE_CHALLENGE_TTL_SECONDS,
+  issueFaceChallenge,
+  consumeFaceChallenge,
+  recordFaceSubmission,
+  reportSuspiciousFaceAttempt,
+} = require("../utils/faceLiveness");
+const {
+  DEFAULT_TIMEZONE,
+  timezoneOf,
+  getZonedParts,
+  createShiftResolver,
+  resolveShift,
+  evaluateAttendance,
+  recordedBreakMinutes,
+} = require("../utils/shifts");
+const { syncOvertime, getOvertimeTotals } = require("../utils/overtime");
+const {
+  flagMissingExit,
+  isPastExitDeadline,
+} = require("../utils/missingExits");
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -45,6 +86,11 @@ const validateRecordAttendance = [
   body("location.coordinates.*")
     .isFloat()
     .withMessage("Coordinates must be numbers"),
+  body("location.accuracy")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Location accuracy must be a positive number of meters"),
   body("method")
     .isIn(["manual", "qr", "facial"])
     .withMessage("Method must be one of: manual, qr, facial"),
@@ -86,10 +132,16 @@ const validateScanQr = [
   body("location.coordinates.*")
     .isFloat()
     .withMessage("Coordinates must be numbers"),
+  body("location.accuracy")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Location accuracy must be a positive number of meters"),
 ];
 
 const validateFacialAttendance = [
   body("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  body("challenge").notEmpty().withMessage("Face challenge is required"),
   body("faceTemplate")
     .isArray()
     .withMessage("faceTemplate must be an array")
@@ -111,10 +163,52 @@ const validateFacialAttendance = [
   body("location.coordinates.*")
     .isFloat()
     .withMessage("Coordinates must be numbers"),
+  body("location.accuracy")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Location accuracy must be a positive number of meters"),
+];
+
+const validateFaceTemplate = [
+  body("faceTemplate")
+    .isArray()
+    .withMessage("faceTemplate must be an array")
+    .custom((value) => value.length === 128)
+    .withMessage("faceTemplate must be 128 numbers"),
+  body("faceTemplate.*").isFloat().withMessage("faceTemplate must be numbers"),
+];
+
+// Without an employeeId the face is identified among all enrolled employees
+const validateKioskFacial = [
+  body("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  body("challenge").notEmpty().withMessage("Face challenge is required"),
+  body("faceTemplate")
+    .isArray()
+    .withMessage("faceTemplate must be an array")
+    .custom((value) => value.length === 128)
+    .withMessage("faceTemplate must be 128 numbers"),
+  body("faceTemplate.*").isFloat().withMessage("faceTemplate must be numbers"),
+];
+
+const validateKioskScanQr = [
+  body("qrData").notEmpty().withMessage("QR data is required"),
 ];
 
 // REMOVED validateExitTime - Using validateExitAttendance instead
 
+const validateBreak = [
+  body("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  body("time")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid time is required"),
+];
+
 const validateReport = [
   param("employeeId").isMongoId().withMessage("Valid employeeId is required"),
   query("period")
@@ -131,12 +225,135 @@ const validateReport = [
     .withMessage("Valid endDate is required"),
 ];
 
-// Default environment variables with fallback values
-const allowedLocation = {
-  lng: parseFloat(process.env.ALLOWED_LNG) || 8.8362755,
-  lat: parseFloat(process.env.ALLOWED_LAT) || 33.1245286,
+// Work sites the employee may check in at: the assigned ones, or every
+// active site when none are assigned
+const getCandidateSites = (employee) => {
+  const filter = { active: true };
+  if (employee.workSites && employee.workSites.length) {
+    filter._id = { $in: employee.workSites };
+  }
+  return WorkSite.find(filter);
+};
+
+// The employee's open attendance, the one check-ins, breaks and exits act
+// on. Records from before isOpen existed are backfilled at startup (see
+// utils/openAttendance.js).
+const findOpenAttendance = (employeeId) =>
+  Attendance.findOne({ employee: employeeId, isOpen: true }).populate(
+    "workSite",
+    "timezone"
+  );
+
+// Compare a check-in with the employee's shift at the site it was made at
+const evaluateCheckIn = async (employeeId, entryTime, site) => {
+  const timezone = timezoneOf(site);
+  const shift = await resolveShift(employeeId, entryTime, timezone);
+  return evaluateAttendance({ entryTime }, shift, timezone);
+};
+
+const lateArrivalMessage = (entryDate, evaluation) =>
+  `You recorded attendance at ${entryDate.toLocaleString()}, ${
+    evaluation.lateMinutes
+  } minutes after your shift (${evaluation.shift.name}) started at ${
+    evaluation.shift.startTime
+  }.`;
+
+// Labels used in log messages for each check-in method
+const METHOD_LABELS = { manual: "", qr: "QR ", facial: "facial " };
+
+// Create the check-in, or return the record it duplicates: the one created
+// with the same Idempotency-Key, or the employee's open session. An open
+// session already past its shift end is flagged as a missing exit instead of
+// blocking the new check-in.
+const createCheckIn = async (req, employee, checkIn) => {
+  const { entryTime, location, locationCheck, method, kioskDevice } = checkIn;
+  const idempotencyKey = req.get("Idempotency-Key") || undefined;
+  const findRetried = async () =>
+    idempotencyKey &&
+    Attendance.findOne({ employee: employee._id, idempotencyKey });
+  const findOpen = () => findOpenAttendance(employee._id);
+
+  const retried = await findRetried();
+  if (retried) {
+    return { attendance: retried, created: false };
+  }
+  const open = await findOpen();
+  if (open) {
+    if (!(await isPastExitDeadline(open, entryTime))) {
+      return { attendance: open, created: false };
+    }
+    await flagMissingExit(open, employee);
+  }
+
+  const attendance = new Attendance({
+    employee: employee._id,
+    entryTime,
+    location: {
+      type: "Point",
+      coordinates: location.coordinates,
+    },
+    workSite: locationCheck.site._id,
+    locationAccuracy: location.accuracy,
+    locationVerdict: locationCheck.verdict,
+    idempotencyKey,
+    kioskDevice,
+    method,
+  });
+  try {
+    await attendance.save();
+  } catch (error) {
+    // A concurrent request created the session first
+    if (error.code === 11000) {
+      return {
+        attendance: (await findRetried()) || (await findOpen()),
+        created: false,
+      };
+    }
+    throw error;
+  }
+
+  // Late attendance notification (fire-and-forget)
+  const label = METHOD_LABELS[method];
+  const entryDate = new Date(entryTime);
+  const evaluation = await evaluateCheckIn(
+    employee._id,
+    entryDate,
+    locationCheck.site
+  );
+  if (evaluation.lateMinutes > 0) {
+    sendEmailAndNotify(
+      employee.email,
+      "Late Attendance Notification",
+      lateArrivalMessage(entryDate, evaluation),
+      { userId: employee._id.toString(), type: "late_arrival" }
+    ).catch((emailError) => {
+      logger.error(`Failed to send ${label}late arrival notification`, {
+        error: emailError.message,
+        employeeId: employee._id,
+      });
+    });
+    logger.info(`Late ${label}attendance recorded`, {
+      employeeId: employee._id,
+      entryTime,
+      lateMinutes: evaluation.lateMinutes,
+    });
+  }
+
+  return { attendance, created: true };
 };
-const allowedRadius = parseInt(process.env.ALLOWED_RADIUS) || 500; // Default to 500 meters
+
+// Response for a check-in that was already recorded
+const duplicateCheckIn = (res, attendance) =>
+  res.status(200).json({
+    success: true,
+    message: "Attendance already recorded",
+    data: { attendance, duplicate: true },
+  });
+
+const outsideSitesMessage = (sites) =>
+  sites.length
+    ? "Location outside allowed area"
+    : "No work site is configured for this employee";
 
 const recordAttendance = [
   validateRecordAttendance,
@@ -179,12 +396,13 @@ const recordAttendance = [
       }
 
       // Location validation
-      const distance =
-        Math.sqrt(
-          Math.pow(location.coordinates[0] - allowedLocation.lng, 2) +
-            Math.pow(location.coordinates[1] - allowedLocation.lat, 2)
-        ) * 111000;
-      if (distance > allowedRadius) {
+      const sites = await getCandidateSites(employee);
+      const locationCheck = evaluateLocation(
+        location.coordinates,
+        location.accuracy,
+        sites
+      );
+      if (!locationCheck.site) {
         // Fire-and-forget email notification (non-blocking)
         sendEmailAndNotify(
           employee.email,
@@ -202,42 +420,24 @@ const recordAttendance = [
 
         logger.warn("Location outside allowed area in recordAttendance", {
           employeeId,
-          distance,
+          distance: locationCheck.distance,
+          accuracy: location.accuracy,
         });
         return res.status(400).json({
           success: false,
-          message: "Location outside allowed area",
-        });
-      }
-
-      // Late attendance notification (fire-and-forget)
-      const entryDate = new Date(entryTime);
-      if (entryDate.getHours() >= 9) {
-        sendEmailAndNotify(
-          employee.email,
-          "Late Attendance Notification",
-          `You recorded attendance at ${entryDate.toLocaleString()}, which is after 9 AM.`,
-          { userId: employeeId, type: "late_arrival" }
-        ).catch((emailError) => {
-          logger.error("Failed to send late arrival notification", {
-            error: emailError.message,
-            employeeId,
-          });
+          message: outsideSitesMessage(sites),
         });
-        logger.info("Late attendance recorded", { employeeId, entryTime });
       }
 
-      const attendance = new Attendance({
-        employee: employeeId,
+      const { attendance, created } = await createCheckIn(req, employee, {
         entryTime,
-        location: {
-          type: "Point",
-          coordinates: location.coordinates,
-        },
+        location,
+        locationCheck,
         method,
       });
-
-      await attendance.save();
+      if (!created) {
+        return duplicateCheckIn(res, attendance);
+      }
       logger.info("Attendance recorded successfully", {
         attendanceId: attendance._id,
         employeeId,
@@ -296,6 +496,7 @@ const getAttendance = [
         employee: employeeId,
       })
         .populate("employee", "name email")
+        .populate("workSite", "name")
         .sort({ createdAt: -1 }) // Sort by newest first
         .limit(7); // Limit to last 7 records
       logger.info("Employee attendance retrieved successfully", {
@@ -360,12 +561,8 @@ const generateQrCode = [
         });
       }
 
-      const qrData = JSON.stringify({
-        employeeId,
-        timestamp: Date.now(),
-        expiresAt: Date.now() + 12 * 60 * 60 * 1000, // Expires in 12 hours
-      });
-      const qrCodeUrl = await QRCode.toDataURL(qrData);
+      const { token, expiresAt } = await issuePersonalToken(employee._id);
+      const qrCodeUrl = await QRCode.toDataURL(token);
       logger.info("QR code generated successfully", {
         employeeId,
         requesterId: req.user.id,
@@ -374,7 +571,7 @@ const generateQrCode = [
       res.status(200).json({
         success: true,
         message: "QR code generated successfully",
-        data: { qrCodeUrl: qrCodeUrl },
+        data: { qrCodeUrl: qrCodeUrl, expiresAt },
       });
     } catch (error) {
       logger.error("Error in generateQrCode", { error: error.message });
@@ -387,6 +584,59 @@ const generateQrCode = [
   },
 ];
 
+// QR code for a wall display at a work site. The display polls this every
+// refreshInSeconds to show a fresh code.
+const getKioskQrCode = [
+  param("workSiteId").isMongoId().withMessage("Valid workSiteId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getKioskQrCode", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const workSite = await WorkSite.findOne({
+        _id: req.params.workSiteId,
+        active: true,
+      });
+      if (!workSite) {
+        return res.status(404).json({
+          success: false,
+          message: "Work site not found",
+        });
+      }
+
+      const { token, expiresAt } = await issueKioskToken(workSite._id);
+      const qrCodeUrl = await QRCode.toDataURL(token);
+
+      res.status(200).json({
+        success: true,
+        message: "Kiosk QR code generated successfully",
+        data: {
+          qrCodeUrl,
+          workSite: { _id: workSite._id, name: workSite.name },
+          expiresAt,
+          refreshInSeconds: KIOSK_ROTATION_SECONDS,
+        },
+      });
+    } catch (error) {
+      logger.error("Error in getKioskQrCode", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
 const scanQrCode = [
   validateScanQr,
   async (req, res) => {
@@ -404,18 +654,48 @@ const scanQrCode = [
       }
 
       const { qrData, location, entryTime } = req.body;
-      let parsedData;
+      let payload;
       try {
-        parsedData = JSON.parse(qrData);
+        payload = verifyToken(qrData);
       } catch (error) {
-        logger.warn("Invalid QR data format in scanQrCode", { qrData });
-        return res.status(400).json({
+        // jsonwebtoken checks the signature before expiry, so the owner of an
+        // expired code can be trusted and told about it
+        const expired = error.name === "TokenExpiredError";
+        const owner = expired && jwt.decode(qrData).sub;
+        if (owner && owner === req.user.id) {
+          Employee.findById(owner)
+            .then((employee) =>
+              sendEmailAndNotify(
+                employee.email,
+                "Expired QR Code Attempt",
+                `Your QR code scan at ${new Date(
+                  entryTime
+                ).toLocaleString()} was invalid or expired.`,
+                { userId: owner, type: "expired_qr" }
+              )
+            )
+            .catch((emailError) => {
+              logger.error("Failed to send expired QR notification", {
+                error: emailError.message,
+                employeeId: owner,
+              });
+            });
+        }
+
+        logger.warn("Invalid or expired QR code in scanQrCode", {
+          reason: error.message,
+          requesterId: req.user.id,
+        });
+        return res.status(401).json({
           success: false,
-          message: "Invalid QR data format",
+          message: "Invalid or expired QR code",
         });
       }
 
-      const { employeeId, timestamp } = parsedData;
+      // Personal codes identify the employee; kiosk codes are scanned by
+      // employees for themselves
+      const employeeId =
+        payload.kind === "kiosk" ? req.user.id : String(payload.sub);
       if (!mongoose.Types.ObjectId.isValid(employeeId)) {
         logger.warn("Invalid employeeId in QR data", { employeeId });
         return res.status(400).json({
@@ -447,37 +727,17 @@ const scanQrCode = [
         });
       }
 
-      // Validate QR code timestamp (5-minute expiry)
-      if (Date.now() - timestamp > 5 * 60 * 1000) {
-        // Fire-and-forget email notification (non-blocking)
-        sendEmailAndNotify(
-          employee.email,
-          "Expired QR Code Attempt",
-          `Your QR code scan at ${new Date(
-            entryTime
-          ).toLocaleString()} was invalid or expired.`,
-          { userId: employeeId, type: "expired_qr" }
-        ).catch((emailError) => {
-          logger.error("Failed to send expired QR notification", {
-            error: emailError.message,
-            employeeId,
-          });
-        });
-
-        logger.warn("QR code expired", { employeeId, timestamp });
-        return res.status(401).json({
-          success: false,
-          message: "Invalid or expired QR code",
-        });
+      // Location validation; a kiosk code only checks in at its own site
+      let sites = await getCandidateSites(employee);
+      if (payload.kind === "kiosk") {
+        sites = sites.filter((site) => site._id.toString() === payload.site);
       }
-
-      // Location validation
-      const distance =
-        Math.sqrt(
-          Math.pow(location.coordinates[0] - allowedLocation.lng, 2) +
-            Math.pow(location.coordinates[1] - allowedLocation.lat, 2)
-        ) * 111000;
-      if (distance > allowedRadius) {
+      const locationCheck = evaluateLocation(
+        location.coordinates,
+        location.accuracy,
+        sites
+      );
+      if (!locationCheck.site) {
         // Fire-and-forget email notification (non-blocking)
         sendEmailAndNotify(
           employee.email,
@@ -495,42 +755,35 @@ const scanQrCode = [
 
         logger.warn("Location outside allowed area in scanQrCode", {
           employeeId,
-          distance,
+          distance: locationCheck.distance,
+          accuracy: location.accuracy,
         });
         return res.status(400).json({
           success: false,
-          message: "Location outside allowed area",
+          message: outsideSitesMessage(sites),
         });
       }
 
-      // Late attendance notification (fire-and-forget)
-      const entryDate = new Date(entryTime);
-      if (entryDate.getHours() >= 9) {
-        sendEmailAndNotify(
-          employee.email,
-          "Late Attendance Notification",
-          `You recorded attendance at ${entryDate.toLocaleString()}, which is after 9 AM.`,
-          { userId: employeeId, type: "late_arrival" }
-        ).catch((emailError) => {
-          logger.error("Failed to send QR late arrival notification", {
-            error: emailError.message,
-            employeeId,
-          });
+      if (!(await redeemToken(payload, employee._id))) {
+        logger.warn("QR code already used", {
+          employeeId,
+          requesterId: req.user.id,
+        });
+        return res.status(409).json({
+          success: false,
+          message: "QR code has already been used",
         });
-        logger.info("Late QR attendance recorded", { employeeId, entryTime });
       }
 
-      const attendance = new Attendance({
-        employee: employeeId,
+      const { attendance, created } = await createCheckIn(req, employee, {
         entryTime,
-        location: {
-          type: "Point",
-          coordinates: location.coordinates,
-        },
+        location,
+        locationCheck,
         method: "qr",
       });
-
-      await attendance.save();
+      if (!created) {
+        return duplicateCheckIn(res, attendance);
+      }
       logger.info("QR code attendance recorded successfully", {
         attendanceId: attendance._id,
         employeeId,
@@ -553,16 +806,66 @@ const scanQrCode = [
   },
 ];
 
-function calculateDistance(descriptor1, descriptor2) {
-  if (!descriptor1 || !descriptor2 || descriptor1.length !== descriptor2.length)
-    return Infinity;
-  return Math.sqrt(
-    descriptor1.reduce(
-      (sum, val, i) => sum + Math.pow(val - descriptor2[i], 2),
-      0
-    )
+const invalidChallenge = (res) =>
+  res.status(401).json({
+    success: false,
+    message: "Invalid or expired face challenge",
+  });
+
+// Reject a face template identical or nearly identical to one already
+// submitted for the employee, and alert admins. Returns whether it did.
+const rejectReplayedFace = async (res, employee, faceTemplate, kioskDevice) => {
+  const replayed = await recordFaceSubmission(
+    employee._id,
+    faceTemplate,
+    kioskDevice
   );
-}
+  if (!replayed) {
+    return false;
+  }
+  logger.warn("Replayed face template rejected", {
+    employeeId: employee._id,
+    replayedSubmissionId: replayed._id,
+    kioskId: kioskDevice,
+  });
+  reportSuspiciousFaceAttempt(employee, replayed).catch((error) => {
+    logger.error("Failed to notify admins of suspicious face attempt", {
+      error: error.message,
+      employeeId: employee._id,
+    });
+  });
+  res.status(401).json({
+    success: false,
+    message: "Face capture was already used",
+  });
+  return true;
+};
+
+// Challenge to send back with the next face template, proving the capture
+// was made after it was issued
+const getFaceChallenge = async (req, res) => {
+  try {
+    const nonce = await issueFaceChallenge(
+      req.kiosk ? req.kiosk._id : req.user.id
+    );
+    res.status(200).json({
+      success: true,
+      message: "Face challenge issued successfully",
+      data: {
+        challenge: nonce.value,
+        expiresAt: nonce.expiresAt,
+        ttlSeconds: FACE_CHALLENGE_TTL_SECONDS,
+      },
+    });
+  } catch (error) {
+    logger.error("Error in getFaceChallenge", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
 
 const facialAttendance = [
   validateFacialAttendance,
@@ -580,12 +883,21 @@ const facialAttendance = [
         });
       }
 
-      const { employeeId, faceTemplate, entryTime, location } = req.body;
+      const { employeeId, challenge, faceTemplate, entryTime, location } =
+        req.body;
       const userIdStr = req.user.id.toString();
+      if (!(await consumeFaceChallenge(challenge, userIdStr))) {
+        logger.warn("Invalid face challenge in facialAttendance", {
+          employeeId,
+          requesterId: userIdStr,
+        });
+        return invalidChallenge(res);
+      }
 
       // Find the employee by employeeId
-      const employee = await Employee.findById(employeeId);
-      if (!employee || !employee.faceDescriptor) {
+      const employee = await Employee.findById(employeeId).select(FACE_FIELDS);
+      const descriptors = employee ? enrolledDescriptors(employee) : [];
+      if (!descriptors.length) {
         logger.warn(
           "Employee or faceDescriptor not found in facialAttendance",
           { employeeId }
@@ -596,19 +908,15 @@ const facialAttendance = [
         });
       }
 
-      // Compare face descriptors
-      const distance = calculateDistance(faceTemplate, employee.faceDescriptor);
+      // Compare face descriptors; the threshold depends on the work site,
+      // so it is applied once the location is known
+      const policy = await getFacePolicy();
+      const distance = matchDistance(
+        faceTemplate,
+        descriptors,
+        policy.matchStrategy
+      );
       logger.info("Face recognition distance", { employeeId, distance });
-      if (distance >= 0.6) {
-        logger.warn("Face recognition failed due to distance", {
-          employeeId,
-          distance,
-        });
-        return res.status(401).json({
-          success: false,
-          message: "Face not recognized",
-        });
-      }
 
       // Authorization check
       if (userIdStr !== employee._id.toString() && req.user.role !== "admin") {
@@ -623,14 +931,14 @@ const facialAttendance = [
             "Access denied: Can only record own facial attendance or requires admin role",
         });
       }
-
       // Location validation
-      const distanceCheck =
-        Math.sqrt(
-          Math.pow(location.coordinates[0] - allowedLocation.lng, 2) +
-            Math.pow(location.coordinates[1] - allowedLocation.lat, 2)
-        ) * 111000;
-      if (distanceCheck > allowedRadius) {
+      const sites = await getCandidateSites(employee);
+      const locationCheck = evaluateLocation(
+        location.coordinates,
+        location.accuracy,
+        sites
+      );
+      if (!locationCheck.site) {
         // Fire-and-forget email notification (non-blocking)
         sendEmailAndNotify(
           employee.email,
@@ -648,46 +956,41 @@ const facialAttendance = [
 
         logger.warn("Location outside allowed area in facialAttendance", {
           employeeId,
-          distance: distanceCheck,
+          distance: locationCheck.distance,
+          accuracy: location.accuracy,
         });
         return res.status(400).json({
           success: false,
-          message: "Location outside allowed area",
+          message: outsideSitesMessage(sites),
         });
       }
 
-      // Late attendance notification (fire-and-forget)
-      const entryDate = new Date(entryTime);
-      if (entryDate.getHours() >= 9) {
-        sendEmailAndNotify(
-          employee.email,
-          "Late Attendance Notification",
-          `You recorded attendance at ${entryDate.toLocaleString()}, which is after 9 AM.`,
-          { userId: employee._id.toString(), type: "late_arrival" }
-        ).catch((emailError) => {
-          logger.error("Failed to send facial late arrival notification", {
-            error: emailError.message,
-            employeeId,
-          });
-        });
-        logger.info("Late facial attendance recorded", {
+      if (distance >= faceThreshold(policy, locationCheck.site)) {
+        logger.warn("Face recognition failed due to distance", {
           employeeId,
-          entryTime,
+          distance,
+          workSite: locationCheck.site._id,
+        });
+        return res.status(401).json({
+          success: false,
+          message: "Face not recognized",
         });
       }
+      // Only captures that passed every other check are kept, so a retry
+      // after a rejection is not taken for a replay
+      if (await rejectReplayedFace(res, employee, faceTemplate)) {
+        return;
+      }
 
-      // Record attendance
-      const attendance = new Attendance({
-        employee: employee._id,
+      const { attendance, created } = await createCheckIn(req, employee, {
         entryTime,
-        location: {
-          type: "Point",
-          coordinates: location.coordinates,
-        },
+        location,
+        locationCheck,
         method: "facial",
       });
-
-      await attendance.save();
+      if (!created) {
+        return duplicateCheckIn(res, attendance);
+      }
       logger.info("Facial attendance recorded successfully", {
         attendanceId: attendance._id,
         employeeId,
@@ -710,8 +1013,417 @@ const facialAttendance = [
   },
 ];
 
+// Check-in recorded by a kiosk device for an identified employee. The device
+// stands at its work site, so that site is the location; the entry time is
+// the server's. `beforeCheckIn` runs once the employee is known to be allowed
+// at the site, for checks with side effects (single-use codes, replay
+// records); it returns true when it rejected the check-in.
+const recordKioskCheckIn = async (
+  req,
+  res,
+  employee,
+  method,
+  beforeCheckIn
+) => {
+  const device = req.kiosk;
+  const sites = await getCandidateSites(employee);
+  const site = sites.find((candidate) =>
+    candidate._id.equals(device.workSite._id)
+  );
+  if (!site) {
+    logger.warn("Employee not allowed at kiosk work site", {
+      employeeId: employee._id,
+      kioskId: device._id,
+    });
+    return res.status(403).json({
+      success: false,
+      message: "Access denied: Employee is not assigned to this work site",
+    });
+  }
+  if (beforeCheckIn && (await beforeCheckIn())) {
+    return;
+  }
+
+  const { attendance, created } = await createCheckIn(req, employee, {
+    entryTime: new Date(),
+    location: { coordinates: siteReferencePoint(site) },
+    locationCheck: { site, verdict: "kiosk" },
+    method,
+    kioskDevice: device._id,
+  });
+  if (!created) {
+    return duplicateCheckIn(res, attendance);
+  }
+  logger.info(`Kiosk ${METHOD_LABELS[method]}attendance recorded`, {
+    attendanceId: attendance._id,
+    employeeId: employee._id,
+    kioskId: device._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Attendance recorded successfully",
+    data: { attendance },
+  });
+};
+
+const kioskFacialAttendance = [
+  validateKioskFacial,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in kioskFacialAttendance", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { challenge, faceTemplate } = req.body;
+      let { employeeId } = req.body;
+      if (!(await consumeFaceChallenge(challenge, req.kiosk._id))) {
+        logger.warn("Invalid face challenge at kiosk", {
+          kioskId: req.kiosk._id,
+        });
+        return invalidChallenge(res);
+      }
+      const policy = await getFacePolicy();
+      const threshold = faceThreshold(policy, req.kiosk.workSite);
+      let distance;
+      if (!employeeId) {
+        const { match } = await identifyFace(faceTemplate, threshold);
+        employeeId = match && match.employeeId;
+        distance = match && match.distance;
+      }
+      const employee =
+        employeeId && (await Employee.findById(employeeId).select(FACE_FIELDS));
+      if (employee && distance === undefined) {
+        distance = matchDistance(
+          faceTemplate,
+          enrolledDescriptors(employee),
+          policy.matchStrategy
+        );
+      }
+      if (!employee || !(distance < threshold)) {
+        logger.warn("Face not recognized at kiosk", {
+          employeeId,
+          distance,
+          kioskId: req.kiosk._id,
+        });
+        return res.status(401).json({
+          success: false,
+          message: "Face not recognized",
+        });
+      }
+      await recordKioskCheckIn(req, res, employee, "facial", () =>
+        rejectReplayedFace(res, employee, faceTemplate, req.kiosk._id)
+      );
+    } catch (error) {
+      logger.error("Error in kioskFacialAttendance", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// The kiosk scans the personal QR code shown on an employee's phone
+const kioskScanQr = [
+  validateKioskScanQr,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in kioskScanQr", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      let payload;
+      let reason = "Not a personal QR code";
+      try {
+        payload = verifyToken(req.body.qrData);
+      } catch (error) {
+        reason = error.message;
+      }
+      if (!payload || payload.kind !== "personal") {
+        logger.warn("Invalid or expired QR code at kiosk", {
+          reason,
+          kioskId: req.kiosk._id,
+        });
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired QR code",
+        });
+      }
+
+      const employee = await Employee.findById(payload.sub);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+      // Redeemed last, so a scan rejected for the site does not use it up
+      await recordKioskCheckIn(req, res, employee, "qr", async () => {
+        if (await redeemToken(payload, employee._id)) {
+          return false;
+        }
+        res.status(409).json({
+          success: false,
+          message: "QR code has already been used",
+        });
+        return true;
+      });
+    } catch (error) {
+      logger.error("Error in kioskScanQr", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// 1:N identification: the enrolled employee a face template belongs to
+const identifyFaceTemplate = [
+  validateFaceTemplate,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in identifyFaceTemplate", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      // Kiosks identify with their work site's threshold
+      const threshold =
+        req.kiosk && faceThreshold(await getFacePolicy(), req.kiosk.workSite);
+      const { match, reason, best, margin } = await identifyFace(
+        req.body.faceTemplate,
+        threshold
+      );
+      if (!match) {
+        logger.warn("Face identification failed", {
+          reason,
+          distance: best && best.distance,
+          margin,
+          requesterId: req.user ? req.user.id : undefined,
+          kioskId: req.kiosk ? req.kiosk._id : undefined,
+        });
+        return res.status(401).json({
+          success: false,
+          message:
+            reason === "ambiguous"
+              ? "Face matches more than one employee"
+              : "Face not recognized",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Face identified successfully",
+        data: {
+          employee: { _id: match.employeeId, name: match.name },
+          distance: match.distance,
+          margin,
+        },
+      });
+    } catch (error) {
+      logger.error("Error in identifyFaceTemplate", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
 // REMOVED DUPLICATE recordExit FUNCTION - Using the correct one below
 
+// Start or end a break on the employee's open attendance record
+const recordBreak = (action) => [
+  validateBreak,
+  async (req, res) => {
+    const handlerName = action === "start" ? "startBreak" : "endBreak";
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn(`Validation errors in ${handlerName}`, {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId } = req.body;
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        logger.warn("Unauthorized break recording", {
+          employeeId,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only record own breaks or requires admin role",
+        });
+      }
+
+      const attendance = await findOpenAttendance(employeeId);
+      if (!attendance) {
+        return res.status(400).json({
+          success: false,
+          message: "No open attendance found. Please record entry first.",
+        });
+      }
+
+      const time = req.body.time || new Date();
+      const openBreak = attendance.breaks.find((b) => !b.end);
+      if (action === "start") {
+        if (openBreak) {
+          return res.status(409).json({
+            success: false,
+            message: "A break is already in progress",
+          });
+        }
+        const lastBreak = attendance.breaks[attendance.breaks.length - 1];
+        const earliest = lastBreak ? lastBreak.end : attendance.entryTime;
+        if (time < earliest) {
+          return res.status(400).json({
+            success: false,
+            message:
+              "Break must start after entry time and after the previous break",
+          });
+        }
+        attendance.breaks.push({ start: time });
+      } else {
+        if (!openBreak) {
+          return res.status(409).json({
+            success: false,
+            message: "No break is in progress",
+          });
+        }
+        if (time <= openBreak.start) {
+          return res.status(400).json({
+            success: false,
+            message: "Break end must be after break start",
+          });
+        }
+        openBreak.end = time;
+      }
+
+      await attendance.save();
+      logger.info(`Break ${action} recorded successfully`, {
+        attendanceId: attendance._id,
+        employeeId,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Break ${
+          action === "start" ? "started" : "ended"
+        } successfully`,
+        data: {
+          attendance,
+          breakMinutes: Math.round(recordedBreakMinutes(attendance)),
+        },
+      });
+    } catch (error) {
+      logger.error(`Error in ${handlerName}`, { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const startBreak = recordBreak("start");
+const endBreak = recordBreak("end");
+
+// Working days of approved leave that fall inside the report range
+const countApprovedLeaveDays = async (employeeId, range, calendar) => {
+  const leaveQuery = { employee: employeeId, status: "approved" };
+  if (range) {
+    leaveQuery.startDate = { $lte: range.$lte };
+    leaveQuery.endDate = { $gte: range.$gte };
+  }
+  const leaves = await Leave.find(leaveQuery);
+  return leaves.reduce(
+    (total, leave) =>
+      total +
+      countLeaveDaysInRange(
+        leave,
+        range && range.$gte,
+        range && range.$lte,
+        calendar
+      ),
+    0
+  );
+};
+
+// Add days, hours, lateness and early departures of the records to the
+// report, each record being compared with the shift of its own day. Hours are
+// net of breaks, next to the gross time spent on site. Overtime only counts
+// once approved.
+const summarizeAttendance = async (report, records, employeeId, range) => {
+  const resolve = await createShiftResolver(employeeId);
+  records.forEach((record) => {
+    if (!record.entryTime) {
+      return;
+    }
+    report.totalDays += 1;
+
+    const timezone = timezoneOf(record.workSite);
+    const shift = resolve(getZonedParts(record.entryTime, timezone).dateKey);
+    const evaluation = evaluateAttendance(record, shift, timezone);
+    if (evaluation.lateMinutes > 0) {
+      report.lateDays += 1;
+    }
+    if (evaluation.earlyDepartureMinutes > 0) {
+      report.earlyDepartures += 1;
+    }
+    if (record.missingExit) {
+      report.missingExits += 1;
+    }
+    // Hours only count when both entry AND exit are recorded
+    if (record.exitTime) {
+      report.grossHours += evaluation.grossMinutes / 60;
+      report.breakHours += evaluation.breakMinutes / 60;
+      report.totalHours += evaluation.workedMinutes / 60;
+    }
+  });
+
+  const overtime = await getOvertimeTotals(employeeId, range);
+  report.overtimeHours = overtime.approvedMinutes / 60;
+  report.pendingOvertimeHours = overtime.pendingMinutes / 60;
+};
+
 const getPresenceReport = [
   validateReport,
   async (req, res) => {
@@ -761,37 +1473,37 @@ const getPresenceReport = [
         };
       }
 
-      const attendanceRecords = await Attendance.find(query).populate(
-        "employee",
-        "name email role"
-      );
+      const attendanceRecords = await Attendance.find(query)
+        .populate("employee", "name email role")
+        .populate("workSite", "timezone");
 
+      const calendar = await loadCalendar();
       const report = {
         employeeId,
         employeeName: employee.name,
         period: period || "custom",
         totalDays: 0,
         totalHours: 0,
+        grossHours: 0,
+        breakHours: 0,
         lateDays: 0,
+        earlyDepartures: 0,
+        missingExits: 0,
+        overtimeHours: 0,
+        pendingOvertimeHours: 0,
+        leaveDays: await countApprovedLeaveDays(
+          employeeId,
+          query.entryTime,
+          calendar
+        ),
       };
 
-      attendanceRecords.forEach((record) => {
-        if (record.entryTime) {
-          report.totalDays += 1;
-          if (record.entryTime.getHours() >= 9) {
-            report.lateDays += 1;
-          }
-
-          // Calculate hours worked - ONLY count actual recorded hours
-          if (record.exitTime) {
-            // Only count hours when both entry AND exit are recorded
-            const hours =
-              (record.exitTime - record.entryTime) / (1000 * 60 * 60);
-            report.totalHours += hours;
-          }
-          // If no exit time recorded, don't count any hours (we don't know actual work time)
-        }
-      });
+      await summarizeAttendance(
+        report,
+        attendanceRecords,
+        employeeId,
+        query.entryTime
+      );
 
       logger.info("Presence report generated successfully", {
         employeeId,
@@ -821,6 +1533,7 @@ const getAllPresenceReports = async (req, res) => {
     const employees = await Employee.find().select(
       "name email role hireDate createdAt"
     );
+    const calendar = await loadCalendar();
     const reports = [];
 
     for (const employee of employees) {
@@ -856,7 +1569,10 @@ const getAllPresenceReports = async (req, res) => {
         };
       }
 
-      const attendanceRecords = await Attendance.find(query);
+      const attendanceRecords = await Attendance.find(query).populate(
+        "workSite",
+        "timezone"
+      );
 
       // Determine the actual period and start date for the report
       let reportPeriod = period || "all-time";
@@ -877,26 +1593,26 @@ const getAllPresenceReports = async (req, res) => {
         startDate: reportStartDate,
         totalDays: 0,
         totalHours: 0,
+        grossHours: 0,
+        breakHours: 0,
         lateDays: 0,
+        earlyDepartures: 0,
+        missingExits: 0,
+        overtimeHours: 0,
+        pendingOvertimeHours: 0,
+        leaveDays: await countApprovedLeaveDays(
+          employee._id,
+          query.entryTime,
+          calendar
+        ),
       };
 
-      attendanceRecords.forEach((record) => {
-        if (record.entryTime) {
-          report.totalDays += 1;
-          if (record.entryTime.getHours() >= 9) {
-            report.lateDays += 1;
-          }
-
-          // Calculate hours worked - ONLY count actual recorded hours
-          if (record.exitTime) {
-            // Only count hours when both entry AND exit are recorded
-            const hours =
-              (record.exitTime - record.entryTime) / (1000 * 60 * 60);
-            report.totalHours += hours;
-          }
-          // If no exit time recorded, don't count any hours (we don't know actual work time)
-        }
-      });
+      await summarizeAttendance(
+        report,
+        attendanceRecords,
+        employee._id,
+        query.entryTime
+      );
 
       reports.push(report);
     }
@@ -920,6 +1636,120 @@ const getAllPresenceReports = async (req, res) => {
   }
 };
 
+// Days on which an employee has several attendance records, for admins to
+// review and clean up. Overlapping records are true duplicates; separate
+// sessions on the same day may be legitimate.
+const getDuplicateAttendance = [
+  query("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  query(["startDate", "endDate"])
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid dates are required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getDuplicateAttendance", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId, startDate, endDate } = req.query;
+      const match = {};
+      if (employeeId) {
+        match.employee = new mongoose.Types.ObjectId(employeeId);
+      }
+      // Aggregation does not cast, and req.query holds the raw strings
+      if (startDate || endDate) {
+        match.entryTime = {};
+        if (startDate) match.entryTime.$gte = new Date(startDate);
+        if (endDate) match.entryTime.$lte = new Date(endDate);
+      }
+
+      const groups = await Attendance.aggregate([
+        { $match: match },
+        { $sort: { entryTime: 1 } },
+        {
+          $group: {
+            _id: {
+              employee: "$employee",
+              day: {
+                $dateToString: {
+                  format: "%Y-%m-%d",
+                  date: "$entryTime",
+                  timezone: DEFAULT_TIMEZONE,
+                },
+              },
+            },
+            records: {
+              $push: {
+                _id: "$_id",
+                entryTime: "$entryTime",
+                exitTime: "$exitTime",
+                method: "$method",
+                missingExit: "$missingExit",
+              },
+            },
+            count: { $sum: 1 },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { "_id.day": -1 } },
+      ]);
+
+      const employees = await Employee.find({
+        _id: { $in: groups.map((group) => group._id.employee) },
+      }).select("name email");
+      const names = new Map(
+        employees.map((employee) => [employee._id.toString(), employee])
+      );
+
+      const duplicates = groups.map(({ _id, records }) => {
+        // Records are sorted by entry; an open record runs until the next one
+        const overlapping = records.some(
+          (record, i) =>
+            i > 0 &&
+            (!records[i - 1].exitTime ||
+              records[i - 1].exitTime > record.entryTime)
+        );
+        return {
+          employee: names.get(_id.employee.toString()) || _id.employee,
+          day: _id.day,
+          overlapping,
+          openRecords: records.filter((record) => !record.exitTime).length,
+          records,
+        };
+      });
+      logger.info("Duplicate attendance report generated", {
+        groups: duplicates.length,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Duplicate attendance report generated successfully",
+        data: { duplicates },
+      });
+    } catch (error) {
+      logger.error("Error in getDuplicateAttendance", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
 const getAllEmployees = async (req, res) => {
   try {
     // Check if requester is admin
@@ -1079,25 +1909,9 @@ const recordExit = [
         });
       }
 
-      // Demo-friendly: Find the most recent attendance record without exit time
-      // Allow searching across multiple days for testing flexibility
-      const now = new Date();
-      let startDate, endDate;
-
-      // For demo: Allow both admins and users to access records from last 30 days
-      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000); // Future dates too
-      endDate.setHours(23, 59, 59, 999);
-
-      const existingAttendance = await Attendance.findOne({
-        employee: employeeId,
-        entryTime: {
-          $gte: startDate,
-          $lte: endDate,
-        },
-        exitTime: { $exists: false },
-      }).sort({ entryTime: -1 });
+      // Pair the exit with the open record only; records flagged as missing
+      // their exit go through a correction request instead
+      const existingAttendance = await findOpenAttendance(employeeId);
 
       if (!existingAttendance) {
         logger.warn("No entry attendance found for exit", {
@@ -1111,6 +1925,22 @@ const recordExit = [
         });
       }
 
+      if (await isPastExitDeadline(existingAttendance, new Date(exitTime))) {
+        await flagMissingExit(existingAttendance, employee);
+        logger.warn("Exit recorded after the shift window", {
+          attendanceId: existingAttendance._id,
+          employeeId,
+          exitTime,
+          requesterId,
+        });
+        return res.status(409).json({
+          success: false,
+          message:
+            "The open attendance is past its shift end and was flagged as a missing exit. Please record a new entry and submit a correction request for it.",
+          data: { attendanceId: existingAttendance._id },
+        });
+      }
+
       // Validate that exit time is after entry time
       const exitDateTime = new Date(exitTime);
       const entryDateTime = new Date(existingAttendance.entryTime);
@@ -1128,7 +1958,11 @@ const recordExit = [
         });
       }
 
-      // Update the attendance record with exit time
+      // Update the attendance record with exit time, ending any open break
+      const openBreak = existingAttendance.breaks.find((b) => !b.end);
+      if (openBreak) {
+        openBreak.end = exitDateTime;
+      }
       existingAttendance.exitTime = exitDateTime;
       existingAttendance.exitLocation = {
         type: "Point",
@@ -1137,11 +1971,29 @@ const recordExit = [
 
       await existingAttendance.save();
 
+      // Compare the completed day with the shift it started in
+      const timezone = timezoneOf(existingAttendance.workSite);
+      const shift = await resolveShift(employeeId, entryDateTime, timezone);
+      const evaluation = evaluateAttendance(
+        existingAttendance,
+        shift,
+        timezone
+      );
+
+      // Refresh the overtime blocks of the day and week (non-blocking)
+      syncOvertime(employeeId, entryDateTime, entryDateTime).catch((error) => {
+        logger.error("Failed to update overtime", {
+          error: error.message,
+          employeeId,
+        });
+      });
+
       logger.info("Exit attendance recorded successfully", {
         attendanceId: existingAttendance._id,
         employeeId,
         entryTime: existingAttendance.entryTime,
         exitTime: existingAttendance.exitTime,
+        earlyDepartureMinutes: evaluation.earlyDepartureMinutes,
         requesterId,
       });
 
@@ -1162,6 +2014,7 @@ const recordExit = [
         message: "Exit time recorded successfully",
         data: {
           attendance: existingAttendance,
+          shiftSummary: evaluation,
         },
       });
     } catch (error) {
@@ -1179,11 +2032,19 @@ module.exports = {
   recordAttendance,
   getAttendance,
   generateQrCode,
+  getKioskQrCode,
   scanQrCode,
   facialAttendance,
+  getFaceChallenge,
+  identifyFaceTemplate,
+  kioskFacialAttendance,
+  kioskScanQr,
   recordExit,
+  startBreak,
+  endBreak,
   getPresenceReport,
   getAllPresenceReports,
+  getDuplicateAttendance,
   getAllEmployees,
   getDailyStats,
   getTotalAttendanceCount,
@@ -0,0 +1,326 @@
+const Holiday = require("../models/Holiday");
+const CompanySettings = require("../models/CompanySettings");
+const { body, param, query, validationResult } = require("express-validator");
+const winston = require("winston");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Validation middleware
+const validateHoliday = [
+  body("name").notEmpty().withMessage("Name is required"),
+  body("date").isISO8601().toDate().withMessage("Valid date is required"),
+  body("recurring")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("recurring must be a boolean"),
+];
+
+const validateUpdateHoliday = [
+  param("holidayId").isMongoId().withMessage("Valid holidayId is required"),
+  body("name").optional().notEmpty().withMessage("Name cannot be empty"),
+  body("date")
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid date is required"),
+  body("recurring")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("recurring must be a boolean"),
+];
+
+const validateWorkingWeek = [
+  body("workingDays")
+    .isArray({ min: 1, max: 7 })
+    .withMessage("workingDays must be a non-empty array"),
+  body("workingDays.*")
+    .isInt({ min: 0, max: 6 })
+    .toInt()
+    .withMessage("workingDays must be days of the week (0 = Sunday)"),
+];
+
+const getHolidays = [
+  query("year")
+    .optional()
+    .isInt({ min: 1970, max: 9999 })
+    .toInt()
+    .withMessage("Valid year is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getHolidays", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = {};
+      if (req.query.year) {
+        const year = parseInt(req.query.year, 10);
+        filter.$or = [
+          {
+            date: {
+              $gte: new Date(Date.UTC(year, 0, 1)),
+              $lt: new Date(Date.UTC(year + 1, 0, 1)),
+            },
+          },
+          { recurring: true },
+        ];
+      }
+
+      const holidays = await Holiday.find(filter).sort({ date: 1 });
+      logger.info("Holidays retrieved successfully", {
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Holidays retrieved successfully",
+        data: { holidays },
+      });
+    } catch (error) {
+      logger.error("Error in getHolidays", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const createHoliday = [
+  validateHoliday,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in createHoliday", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, date, recurring } = req.body;
+      const holiday = new Holiday({ name, date, recurring });
+      await holiday.save();
+      logger.info("Holiday created successfully", {
+        holidayId: holiday._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Holiday created successfully",
+        data: { holiday },
+      });
+    } catch (error) {
+      logger.error("Error in createHoliday", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const updateHoliday = [
+  validateUpdateHoliday,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in updateHoliday", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const holiday = await Holiday.findById(req.params.holidayId);
+      if (!holiday) {
+        logger.warn("Holiday not found in updateHoliday", {
+          holidayId: req.params.holidayId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Holiday not found",
+        });
+      }
+
+      const { name, date, recurring } = req.body;
+      holiday.name = name || holiday.name;
+      holiday.date = date || holiday.date;
+      if (recurring !== undefined) {
+        holiday.recurring = recurring;
+      }
+
+      await holiday.save();
+      logger.info("Holiday updated successfully", {
+        holidayId: holiday._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Holiday updated successfully",
+        data: { holiday },
+      });
+    } catch (error) {
+      logger.error("Error in updateHoliday", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const deleteHoliday = [
+  param("holidayId").isMongoId().withMessage("Valid holidayId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in deleteHoliday", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const holiday = await Holiday.findByIdAndDelete(req.params.holidayId);
+      if (!holiday) {
+        logger.warn("Holiday not found in deleteHoliday", {
+          holidayId: req.params.holidayId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Holiday not found",
+        });
+      }
+
+      logger.info("Holiday deleted successfully", {
+        holidayId: req.params.holidayId,
+        requesterId: req.user.id,
+      });
+      res.status(200).json({
+        success: true,
+        message: "Holiday deleted successfully",
+        data: {},
+      });
+    } catch (error) {
+      logger.error("Error in deleteHoliday", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getWorkingWeek = async (req, res) => {
+  try {
+    const settings = await CompanySettings.getSettings();
+    res.status(200).json({
+      success: true,
+      message: "Working week retrieved successfully",
+      data: { workingDays: settings.workingDays },
+    });
+  } catch (error) {
+    logger.error("Error in getWorkingWeek", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const updateWorkingWeek = [
+  validateWorkingWeek,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in updateWorkingWeek", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const settings = await CompanySettings.getSettings();
+      settings.workingDays = [...new Set(req.body.workingDays)].sort();
+      await settings.save();
+      logger.info("Working week updated successfully", {
+        workingDays: settings.workingDays,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Working week updated successfully",
+        data: { workingDays: settings.workingDays },
+      });
+    } catch (error) {
+      logger.error("Error in updateWorkingWeek", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  getWorkingWeek,
+  updateWorkingWeek,
+};
@@ -0,0 +1,435 @@
+const AttendanceCorrection = require("../models/AttendanceCorrection");
+const Attendance = require("../models/Attendance");
+const { body, param, query, validationResult } = require("express-validator");
+const winston = require("winston");
+const { sendEmailAndNotify, notifyAdmins } = require("../utils/email");
+const { syncOvertime } = require("../utils/overtime");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Validation middleware
+const validateCreateCorrection = [
+  body("attendanceId")
+    .isMongoId()
+    .withMessage("Valid attendanceId is required"),
+  body(["entryTime", "exitTime"])
+    .optional()
+    .isISO8601()
+    .toDate()
+    .withMessage("Corrected times must be valid dates")
+    .custom((time) => time <= new Date())
+    .withMessage("Corrected times cannot be in the future"),
+  body()
+    .custom((fields) => fields.entryTime || fields.exitTime)
+    .withMessage("An entryTime or exitTime is required"),
+  body("reason").trim().notEmpty().withMessage("Reason is required"),
+];
+
+const validateDecision = [
+  param("correctionId")
+    .isMongoId()
+    .withMessage("Valid correctionId is required"),
+  body("status")
+    .isIn(["approved", "rejected"])
+    .withMessage("Status must be approved or rejected"),
+  body("comment").optional().isString().trim(),
+];
+
+const sameTime = (a, b) =>
+  (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+
+const describeCorrection = (correction) =>
+  [
+    correction.entryTime &&
+      `entry time ${correction.entryTime.toLocaleString()}`,
+    correction.exitTime && `exit time ${correction.exitTime.toLocaleString()}`,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+
+// Reason the corrected times cannot apply to the record, if any: they must
+// keep its breaks and stay clear of the employee's neighbouring records
+const checkCorrectedTimes = async (attendance, entryTime, exitTime) => {
+  if (exitTime && exitTime <= entryTime) {
+    return "Exit time must be after entry time";
+  }
+  const breakOutside = attendance.breaks.some(
+    (interval) =>
+      interval.start < entryTime ||
+      (exitTime && (interval.end || interval.start) > exitTime)
+  );
+  if (breakOutside) {
+    return "Corrected times must include the recorded breaks";
+  }
+
+  const others = {
+    employee: attendance.employee._id || attendance.employee,
+    _id: { $ne: attendance._id },
+  };
+  const previous = await Attendance.findOne({
+    ...others,
+    entryTime: { $lte: attendance.entryTime },
+  }).sort({ entryTime: -1 });
+  if (previous && (previous.exitTime || previous.entryTime) > entryTime) {
+    return "Entry time must be after the previous attendance";
+  }
+  const next = await Attendance.findOne({
+    ...others,
+    entryTime: { $gt: attendance.entryTime },
+  }).sort({ entryTime: 1 });
+  if (
+    next &&
+    (entryTime >= next.entryTime || (exitTime && exitTime > next.entryTime))
+  ) {
+    return "Corrected times must end before the next recorded entry";
+  }
+  return null;
+};
+
+// Apply an approved correction, keeping the first recorded times and a
+// revision entry with the values it replaced
+const applyCorrection = (attendance, correction, actorId) => {
+  const previous = {
+    entryTime: attendance.entryTime,
+    exitTime: attendance.exitTime,
+  };
+  if (!attendance.original) {
+    attendance.original = previous;
+  }
+  attendance.revisions.push({
+    previous,
+    entryTime: correction.entryTime,
+    exitTime: correction.exitTime,
+    reason: correction.reason,
+    correction: correction._id,
+    revisedBy: actorId,
+  });
+
+  if (correction.entryTime) {
+    attendance.entryTime = correction.entryTime;
+  }
+  if (correction.exitTime) {
+    const openBreak = attendance.breaks.find((b) => !b.end);
+    if (openBreak) {
+      openBreak.end = correction.exitTime;
+    }
+    attendance.exitTime = correction.exitTime;
+    attendance.missingExit = false;
+  }
+};
+
+const createCorrection = [
+  validateCreateCorrection,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in createCorrection", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { attendanceId, entryTime, exitTime, reason } = req.body;
+      const attendance = await Attendance.findById(attendanceId).populate(
+        "employee",
+        "name email"
+      );
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: "Attendance not found",
+        });
+      }
+
+      const employeeId = attendance.employee._id.toString();
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        logger.warn("Unauthorized attendance correction request", {
+          attendanceId,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only correct own attendance or requires admin role",
+        });
+      }
+
+      const invalid = await checkCorrectedTimes(
+        attendance,
+        entryTime || attendance.entryTime,
+        exitTime || attendance.exitTime
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid,
+        });
+      }
+      if (
+        await AttendanceCorrection.exists({
+          attendance: attendanceId,
+          status: "pending",
+        })
+      ) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "A correction request is already pending for this attendance",
+        });
+      }
+
+      const correction = await AttendanceCorrection.create({
+        attendance: attendanceId,
+        employee: employeeId,
+        entryTime,
+        exitTime,
+        previous: {
+          entryTime: attendance.entryTime,
+          exitTime: attendance.exitTime,
+        },
+        reason,
+        requestedBy: req.user.id,
+      });
+      logger.info("Attendance correction requested", {
+        correctionId: correction._id,
+        attendanceId,
+        requesterId: req.user.id,
+      });
+
+      notifyAdmins(
+        "Attendance Correction Request",
+        `${
+          attendance.employee.name
+        } requested a correction of the attendance starting ${attendance.entryTime.toLocaleString()} to ${describeCorrection(
+          correction
+        )}. Reason: ${reason}`,
+        "attendance_correction_requested"
+      ).catch((error) => {
+        logger.error("Failed to notify admins of correction request", {
+          error: error.message,
+          correctionId: correction._id,
+        });
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Correction request submitted successfully",
+        data: { correction },
+      });
+    } catch (error) {
+      logger.error("Error in createCorrection", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Admins see every request; others only their own
+const getCorrections = [
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected"])
+    .withMessage("Status must be pending, approved or rejected"),
+  query("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getCorrections", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = {};
+      if (req.query.status) {
+        filter.status = req.query.status;
+      }
+      if (req.user.role !== "admin") {
+        filter.employee = req.user.id;
+      } else if (req.query.employeeId) {
+        filter.employee = req.query.employeeId;
+      }
+
+      const corrections = await AttendanceCorrection.find(filter)
+        .populate("employee", "name email")
+        .populate("attendance", "entryTime exitTime missingExit original")
+        .populate("decidedBy", "name")
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Correction requests retrieved successfully",
+        data: { corrections },
+      });
+    } catch (error) {
+      logger.error("Error in getCorrections", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const decideCorrection = [
+  validateDecision,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in decideCorrection", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const correction = await AttendanceCorrection.findById(
+        req.params.correctionId
+      ).populate("employee", "name email");
+      if (!correction) {
+        return res.status(404).json({
+          success: false,
+          message: "Correction request not found",
+        });
+      }
+      if (correction.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Correction request is already ${correction.status}`,
+        });
+      }
+
+      const { status, comment } = req.body;
+      const attendance = await Attendance.findById(correction.attendance);
+      const previousEntryTime = attendance && attendance.entryTime;
+      if (status === "approved") {
+        if (!attendance) {
+          return res.status(409).json({
+            success: false,
+            message: "The attendance no longer exists",
+          });
+        }
+        const unchanged =
+          sameTime(attendance.entryTime, correction.previous.entryTime) &&
+          sameTime(attendance.exitTime, correction.previous.exitTime);
+        const invalid = unchanged
+          ? await checkCorrectedTimes(
+              attendance,
+              correction.entryTime || attendance.entryTime,
+              correction.exitTime || attendance.exitTime
+            )
+          : "The attendance changed since this request was made";
+        if (invalid) {
+          return res.status(409).json({
+            success: false,
+            message: invalid,
+          });
+        }
+        applyCorrection(attendance, correction, req.user.id);
+        await attendance.save();
+      }
+
+      correction.status = status;
+      correction.comment = comment;
+      correction.decidedBy = req.user.id;
+      correction.decidedAt = new Date();
+      await correction.save();
+      logger.info("Attendance correction decided", {
+        correctionId: correction._id,
+        status,
+        requesterId: req.user.id,
+      });
+
+      if (status === "approved") {
+        const [from, to] = [previousEntryTime, attendance.entryTime].sort(
+          (a, b) => a - b
+        );
+        syncOvertime(correction.employee._id, from, to).catch((error) => {
+          logger.error("Failed to update overtime", {
+            error: error.message,
+            correctionId: correction._id,
+          });
+        });
+      }
+
+      sendEmailAndNotify(
+        correction.employee.email,
+        `Attendance Correction ${
+          status === "approved" ? "Approved" : "Rejected"
+        }`,
+        `Your correction request to ${describeCorrection(
+          correction
+        )} has been ${status}${comment ? `. Comment: ${comment}` : "."}`,
+        {
+          userId: correction.employee._id,
+          type: `attendance_correction_${status}`,
+        }
+      ).catch((emailError) => {
+        logger.error("Failed to send correction notification", {
+          error: emailError.message,
+          correctionId: correction._id,
+        });
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Correction request ${status} successfully`,
+        data: { correction, attendance },
+      });
+    } catch (error) {
+      logger.error("Error in decideCorrection", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  createCorrection,
+  getCorrections,
+  decideCorrection,
+};
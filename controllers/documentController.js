@@ -5,6 +5,8 @@ const PDFDocument = require("pdfkit");
 const cloudinary = require("cloudinary").v2;
 const Employee = require("../models/Employee");
 const Document = require("../models/Document");
+const CompanySettings = require("../models/CompanySettings");
+const { getOvertimeTotals } = require("../utils/overtime");
 const authMiddleware = require("../middleware/auth");
 
 const generateAttestation = async (req, res) => {
@@ -167,6 +169,17 @@ const generatePaySlip = async (req, res) => {
       return res.status(404).json({ message: "Employee not found" });
     }
 
+    // Only approved overtime of the month is paid, at its own multiplier
+    const settings = await CompanySettings.getSettings();
+    const hourlyRate =
+      req.body.hourlyRate || salary / settings.overtime.monthlyReferenceHours;
+    const overtime = await getOvertimeTotals(employee._id, {
+      $gte: new Date(Date.UTC(year, month - 1, 1)),
+      $lt: new Date(Date.UTC(year, month, 1)),
+    });
+    const overtimeHours = overtime.approvedMinutes / 60;
+    const overtimePay = (overtime.weightedMinutes / 60) * hourlyRate;
+
     const docName = `payslip-${employeeId}-${month}-${year}-${Date.now()}`;
     const documentsDir = path
       .resolve(__dirname, "../documents")
@@ -215,7 +228,12 @@ const generatePaySlip = async (req, res) => {
     doc.text(`Salary: $${salary.toFixed(2)}`);
     doc.text(`Deductions: $${deductions.toFixed(2)}`);
     doc.text(`Bonuses: $${bonuses.toFixed(2)}`);
-    doc.text(`Net Pay: $${(salary - deductions + bonuses).toFixed(2)}`);
+    doc.text(
+      `Overtime: ${overtimeHours.toFixed(2)} h - $${overtimePay.toFixed(2)}`
+    );
+    doc.text(
+      `Net Pay: $${(salary - deductions + bonuses + overtimePay).toFixed(2)}`
+    );
     doc.moveDown(2);
 
     doc.text("Authorized Signature: ____________________", { align: "right" });
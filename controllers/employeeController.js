@@ -1,8 +1,64 @@
 const Employee = require("../models/Employee");
+const FaceUpdateRequest = require("../models/FaceUpdateRequest");
+const Session = require("../models/Session");
+const { isValidObjectId } = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const QRCode = require("qrcode");
+const { body, param, query, validationResult } = require("express-validator");
 const winston = require("winston");
+const { sendEmailAndNotify, notifyAdmins } = require("../utils/email");
+const {
+  FACE_FIELDS,
+  FACE_ENROLLED_FILTER,
+  enrolledDescriptors,
+  matchDistance,
+  getFacePolicy,
+  invalidateFaceIndex,
+  findConflictingEnrollment,
+  eraseFaceData,
+} = require("../utils/faceIndex");
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_COOKIE,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSessions,
+  setAuthCookies,
+  clearAuthCookies,
+} = require("../utils/sessions");
+const {
+  issuePasswordToken,
+  consumePasswordToken,
+  discardPasswordTokens,
+} = require("../utils/passwordTokens");
+const { checkPassword } = require("../utils/passwordPolicy");
+const {
+  isSetupCompleted,
+  isValidSetupToken,
+  createFirstAdmin,
+} = require("../utils/setup");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  getAccountLock,
+} = require("../utils/loginThrottle");
+const { generateTotpSecret, verifyTotp, totpUri } = require("../utils/totp");
+const {
+  PRE_AUTH_TTL_SECONDS,
+  TWO_FACTOR_FIELDS,
+  signPreAuthToken,
+  verifyPreAuthToken,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  clearTwoFactor,
+} = require("../utils/twoFactor");
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -29,13 +85,19 @@ if (process.env.NODE_ENV !== "production") {
 const validateRegisterEmployee = [
   body("name").notEmpty().withMessage("Name is required"),
   body("email").isEmail().withMessage("Valid email is required"),
+  // Without a password the employee is invited to choose one
   body("password")
-    .isLength({ min: 6 })
-    .withMessage("Password must be at least 6 characters"),
+    .optional()
+    .isString()
+    .withMessage("Password must be a string"),
   body("role")
     .isIn(["employee", "stagiaire", "admin"])
     .withMessage("Role must be one of: employee, stagiaire, admin"),
   body("position").notEmpty().withMessage("Position is required"),
+  body("manager")
+    .optional()
+    .isMongoId()
+    .withMessage("Manager must be a valid employee id"),
 ];
 
 // Validation middleware for updateEmployee
@@ -50,6 +112,10 @@ const validateUpdateEmployee = [
     .optional()
     .notEmpty()
     .withMessage("Position cannot be empty"),
+  body("manager")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Manager must be a valid employee id"),
 ];
 
 // New validation for registerFace
@@ -62,8 +128,83 @@ const validateRegisterFace = [
   body("faceDescriptor.*")
     .isFloat()
     .withMessage("faceDescriptor must be numbers"),
+  body("replace")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("replace must be a boolean"),
 ];
 
+// Add a descriptor to an employee's enrollment, or start a new one when
+// `replace` is set. Returns the reason it was refused, if any: it must not
+// match another employee, and must match the employee's own descriptors.
+// Only the most recent maxDescriptors are kept.
+const enrollFace = async (employee, faceDescriptor, replace) => {
+  const policy = await getFacePolicy();
+  const conflict = await findConflictingEnrollment(
+    faceDescriptor,
+    employee._id,
+    policy
+  );
+  if (conflict) {
+    logger.warn("Face enrollment matches another employee", {
+      employeeId: employee._id,
+      conflictingEmployeeId: conflict.employeeId,
+      distance: conflict.distance,
+    });
+    return {
+      status: 409,
+      message: "Face is too similar to another employee's enrollment",
+    };
+  }
+
+  const existing = replace ? [] : enrolledDescriptors(employee);
+  if (
+    existing.length &&
+    matchDistance(faceDescriptor, existing) >= policy.matchThreshold
+  ) {
+    return {
+      status: 400,
+      message: "Face does not match the existing enrollment",
+    };
+  }
+
+  if (replace) {
+    employee.faceDescriptors = [];
+  } else if (!employee.faceDescriptors.length && existing.length) {
+    // Carry the legacy descriptor over
+    employee.faceDescriptors.push({ descriptor: existing[0] });
+  }
+  employee.faceDescriptors.push({ descriptor: faceDescriptor });
+  const excess = employee.faceDescriptors.length - policy.maxDescriptors;
+  if (excess > 0) {
+    employee.faceDescriptors.splice(0, excess);
+  }
+  employee.faceDescriptor = undefined;
+  return null;
+};
+
+const sendInvitation = async (employee) => {
+  const { link, expiresAt } = await issuePasswordToken(
+    employee._id,
+    "invitation"
+  );
+  await sendEmailAndNotify(
+    employee.email,
+    "Welcome to FLESK Consulting",
+    `Hello ${
+      employee.name
+    },\n\nAn account has been created for you. Choose your password to sign in:\n${link}\n\nThis link can be used once and expires on ${expiresAt.toLocaleString()}.`
+  );
+};
+
+// Set a new password and invalidate any outstanding link
+const setPassword = async (employee, password) => {
+  employee.password = await bcrypt.hash(password, 10);
+  await employee.save();
+  await discardPasswordTokens(employee._id);
+};
+
 const registerEmployee = [
   validateRegisterEmployee,
   async (req, res) => {
@@ -80,44 +221,16 @@ const registerEmployee = [
         });
       }
 
-      const { name, email, password, role, position, internshipDetails } =
-        req.body;
-
-      // Allow admin creation if no admins exist in the system
-      if (role === "admin") {
-        const existingAdmins = await Employee.find({ role: "admin" });
-        if (existingAdmins.length > 0) {
-          // If admins exist, require admin privileges
-          if (!req.user || req.user.role !== "admin") {
-            logger.warn("Unauthorized admin creation attempt", {
-              email,
-              requesterId: req.user?.id,
-              requesterRole: req.user?.role,
-            });
-            return res.status(403).json({
-              success: false,
-              message: "Only existing admins can create new admin users",
-            });
-          }
-        } else {
-          // If no admins exist, allow creation (for initial setup)
-          logger.info("Creating first admin user", { email });
-        }
-      } else {
-        // For non-admin roles, require admin privileges
-        if (!req.user || req.user.role !== "admin") {
-          logger.warn("Unauthorized registration attempt", {
-            requesterId: req.user?.id,
-            requesterRole: req.user?.role,
-          });
-          return res.status(403).json({
-            success: false,
-            message: "Only admins can register new users",
-          });
-        }
-      }
+      const {
+        name,
+        email,
+        password,
+        role,
+        position,
+        internshipDetails,
+        manager,
+      } = req.body;
 
-      // Rest of your code unchanged...
       const existingEmployee = await Employee.findOne({ email });
       if (existingEmployee) {
         logger.warn("Attempt to register existing employee", { email });
@@ -127,7 +240,27 @@ const registerEmployee = [
         });
       }
 
-      const hashedPassword = await bcrypt.hash(password, 10);
+      if (manager && !(await Employee.exists({ _id: manager }))) {
+        logger.warn("Manager not found in registerEmployee", { manager });
+        return res.status(400).json({
+          success: false,
+          message: "Manager not found",
+        });
+      }
+
+      const invalidPassword = password && (await checkPassword(password));
+      if (invalidPassword) {
+        return res.status(400).json({
+          success: false,
+          message: invalidPassword,
+        });
+      }
+
+      // Invited employees get an unusable password until they set theirs
+      const hashedPassword = await bcrypt.hash(
+        password || crypto.randomBytes(32).toString("hex"),
+        10
+      );
 
       const employee = new Employee({
         name,
@@ -136,6 +269,7 @@ const registerEmployee = [
         role: role || "employee",
         position,
         internshipDetails,
+        manager,
       });
 
       await employee.save();
@@ -145,22 +279,1107 @@ const registerEmployee = [
         createdBy: req.user.id,
       });
 
-      res.status(201).json({
+      if (!password) {
+        sendInvitation(employee).catch((emailError) => {
+          logger.error("Failed to send invitation", {
+            error: emailError.message,
+            employeeId: employee._id,
+          });
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: password
+          ? "Employee registered successfully"
+          : "Employee registered successfully, invitation sent",
+        data: {
+          invitationSent: !password,
+          employee: {
+            _id: employee._id,
+            name: employee.name,
+            email: employee.email,
+            role: employee.role,
+            position: employee.position,
+            internshipDetails: employee.internshipDetails,
+            manager: employee.manager,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error in registerEmployee", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Count a failed login and tell the employee when it locked their account
+const handleLoginFailure = async (email, ip, employee) => {
+  const lockedUntil = await recordLoginFailure(email, ip);
+  if (!lockedUntil) {
+    return;
+  }
+  logger.warn("Account locked after failed logins", { email, ip });
+  if (employee) {
+    sendEmailAndNotify(
+      employee.email,
+      "Account Temporarily Locked",
+      `Your account was locked until ${lockedUntil.toLocaleString()} after repeated failed login attempts. If this was not you, reset your password or contact an administrator.`,
+      { userId: employee._id.toString(), type: "account_locked" }
+    ).catch((emailError) => {
+      logger.error("Failed to send account locked notification", {
+        error: emailError.message,
+        employeeId: employee._id,
+      });
+    });
+  }
+};
+
+const respondThrottled = (res, blocked) => {
+  res.set("Retry-After", String(blocked.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: blocked.locked
+      ? "Too many failed login attempts, the account is temporarily locked"
+      : "Too many failed login attempts, please wait before trying again",
+    retryAfter: blocked.retryAfter,
+  });
+};
+
+// Open a session once every authentication step succeeded
+const completeLogin = async (req, res, employee, extra = {}) => {
+  await clearLoginFailures(employee.email);
+  const { session, refreshToken } = await createSession(employee, req);
+  const token = signAccessToken(employee, session);
+  logger.info("Employee logged in successfully", {
+    email: employee.email,
+    employeeId: employee._id,
+    sessionId: session._id,
+  });
+
+  setAuthCookies(res, token, refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    token: token, // Include tokens in response for mobile fallback
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    ...extra,
+  });
+};
+
+// Create the first admin with SETUP_TOKEN. Unavailable when the token is
+// not configured, and permanently once setup is completed.
+const setupFirstAdmin = [
+  body("setupToken").notEmpty().withMessage("setupToken is required"),
+  body("name").notEmpty().withMessage("Name is required"),
+  body("email").isEmail().withMessage("Valid email is required"),
+  body("password").isString().withMessage("Password is required"),
+  body("position").notEmpty().withMessage("Position is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in setupFirstAdmin", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      if (!process.env.SETUP_TOKEN || (await isSetupCompleted())) {
+        return res.status(404).json({
+          success: false,
+          message: "Setup is not available",
+        });
+      }
+      if (!isValidSetupToken(req.body.setupToken)) {
+        logger.warn("Setup attempt with invalid token", { ip: req.ip });
+        return res.status(401).json({
+          success: false,
+          message: "Invalid setup token",
+        });
+      }
+
+      const { name, email, password, position } = req.body;
+      const result = await createFirstAdmin({
+        name,
+        email,
+        password,
+        position,
+      });
+      if (!result.employee) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+        });
+      }
+      const { employee } = result;
+      logger.info("First admin created from setup token", {
+        email,
+        employeeId: employee._id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Admin created successfully, setup is now disabled",
+        data: {
+          employee: {
+            _id: employee._id,
+            name: employee.name,
+            email: employee.email,
+            role: employee.role,
+            position: employee.position,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Error in setupFirstAdmin", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const loginEmployee = [
+  body("email").isEmail().withMessage("Valid email is required"),
+  body("password").notEmpty().withMessage("Password is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in loginEmployee", {
+          errors: errors.array(),
+        });
+
+        // Return user-friendly validation messages
+        const firstError = errors.array()[0];
+        let message = "Please check your input.";
+
+        if (firstError.path === "email") {
+          message = "Please enter a valid email address.";
+        } else if (firstError.path === "password") {
+          message = "Password is required.";
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: message,
+        });
+      }
+
+      const { email, password } = req.body;
+      const blocked = await checkLoginAllowed(email, req.ip);
+      if (blocked) {
+        logger.warn("Throttled login attempt", {
+          email,
+          ip: req.ip,
+          locked: blocked.locked,
+        });
+        return respondThrottled(res, blocked);
+      }
+
+      const employee = await Employee.findOne({ email });
+      if (!employee) {
+        logger.warn("Login attempt with invalid email", { email });
+        await handleLoginFailure(email, req.ip, null);
+        return res.status(401).json({
+          success: false,
+          message: "Invalid credentials",
+        });
+      }
+
+      const isMatch = await bcrypt.compare(password, employee.password);
+      if (!isMatch) {
+        logger.warn("Login attempt with incorrect password", { email });
+        await handleLoginFailure(email, req.ip, employee);
+        return res.status(401).json({
+          success: false,
+          message: "Invalid credentials",
+        });
+      }
+
+      // Failed logins are only cleared once the second step succeeds too
+      if (employee.twoFactor && employee.twoFactor.enabled) {
+        logger.info("Password accepted, two-factor code required", {
+          employeeId: employee._id,
+        });
+        return res.status(200).json({
+          success: true,
+          message: "Two-factor code required",
+          twoFactorRequired: true,
+          preAuthToken: signPreAuthToken(employee, "two_factor"),
+          expiresIn: PRE_AUTH_TTL_SECONDS,
+        });
+      }
+      if (await isTwoFactorRequired(employee)) {
+        logger.info("Password accepted, two-factor enrollment required", {
+          employeeId: employee._id,
+        });
+        return res.status(200).json({
+          success: true,
+          message: "Two-factor authentication must be set up to log in",
+          twoFactorSetupRequired: true,
+          preAuthToken: signPreAuthToken(employee, "two_factor_setup"),
+          expiresIn: PRE_AUTH_TTL_SECONDS,
+        });
+      }
+
+      await completeLogin(req, res, employee);
+    } catch (error) {
+      logger.error("Error in loginEmployee", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const validateSecondFactor = [
+  body("code").optional().isString().withMessage("code must be a string"),
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("recoveryCode must be a string"),
+  body()
+    .custom((fields) => fields.code || fields.recoveryCode)
+    .withMessage("A code or recoveryCode is required"),
+];
+
+// Second login step: a code from the authenticator app or a recovery code,
+// with the pre-auth token returned by loginEmployee
+const verifyTwoFactorLogin = [
+  body("preAuthToken").notEmpty().withMessage("preAuthToken is required"),
+  validateSecondFactor,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in verifyTwoFactorLogin", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employeeId = verifyPreAuthToken(
+        req.body.preAuthToken,
+        "two_factor"
+      );
+      const employee =
+        employeeId &&
+        (await Employee.findById(employeeId).select(TWO_FACTOR_FIELDS));
+      if (!employee || !employee.twoFactor.enabled) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired login, please log in again",
+        });
+      }
+
+      const blocked = await checkLoginAllowed(employee.email, req.ip);
+      if (blocked) {
+        logger.warn("Throttled two-factor attempt", {
+          employeeId: employee._id,
+          ip: req.ip,
+          locked: blocked.locked,
+        });
+        return respondThrottled(res, blocked);
+      }
+
+      const { code, recoveryCode } = req.body;
+      if (!(await checkSecondFactor(employee, { code, recoveryCode }))) {
+        logger.warn("Login attempt with invalid two-factor code", {
+          employeeId: employee._id,
+        });
+        await handleLoginFailure(employee.email, req.ip, employee);
+        return res.status(401).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      if (!code) {
+        const remaining = employee.twoFactor.recoveryCodes.length - 1;
+        logger.info("Recovery code used to log in", {
+          employeeId: employee._id,
+          remaining,
+        });
+        return completeLogin(req, res, employee, {
+          recoveryCodesRemaining: remaining,
+        });
+      }
+      await completeLogin(req, res, employee);
+    } catch (error) {
+      logger.error("Error in verifyTwoFactorLogin", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Start enrollment: a new key, shown as a QR code for authenticator apps and
+// as text for manual entry. It only applies once confirmed with a code.
+const setupTwoFactor = async (req, res) => {
+  try {
+    const employee = await Employee.findById(req.user.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: "Employee not found",
+      });
+    }
+    if (employee.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateTotpSecret();
+    employee.twoFactor.pendingSecret = secret;
+    await employee.save();
+
+    const otpauthUrl = totpUri(secret, employee.email);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+    logger.info("Two-factor setup started", { employeeId: employee._id });
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code, then confirm with a code",
+      data: { qrCode, secret, otpauthUrl },
+    });
+  } catch (error) {
+    logger.error("Error in setupTwoFactor", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Confirm enrollment with a first code. The recovery codes are only returned
+// here. Admins enrolling at login are signed in.
+const enableTwoFactor = [
+  body("code").notEmpty().withMessage("Code is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in enableTwoFactor", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findById(req.user.id).select(
+        "+twoFactor.pendingSecret"
+      );
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+      if (employee.twoFactor.enabled) {
+        return res.status(409).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+      if (!employee.twoFactor.pendingSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "Start the two-factor setup first",
+        });
+      }
+
+      const step = verifyTotp(employee.twoFactor.pendingSecret, req.body.code);
+      if (step === null) {
+        if (req.user.preAuth) {
+          await handleLoginFailure(employee.email, req.ip, employee);
+        }
+        return res.status(400).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      employee.twoFactor.secret = employee.twoFactor.pendingSecret;
+      employee.twoFactor.pendingSecret = undefined;
+      employee.twoFactor.enabled = true;
+      employee.twoFactor.enabledAt = new Date();
+      employee.twoFactor.lastUsedStep = step;
+      employee.twoFactor.recoveryCodes = hashes;
+      await employee.save();
+      logger.info("Two-factor authentication enabled", {
+        employeeId: employee._id,
+      });
+
+      if (req.user.preAuth) {
+        return completeLogin(req, res, employee, { recoveryCodes: codes });
+      }
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        data: { recoveryCodes: codes },
+      });
+    } catch (error) {
+      logger.error("Error in enableTwoFactor", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const disableTwoFactor = [
+  body("password").notEmpty().withMessage("Password is required"),
+  validateSecondFactor,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in disableTwoFactor", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findById(req.user.id).select(
+        TWO_FACTOR_FIELDS
+      );
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+      if (!employee.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+      if (await isTwoFactorRequired(employee)) {
+        return res.status(403).json({
+          success: false,
+          message: "Two-factor authentication is required for admins",
+        });
+      }
+
+      const { password, code, recoveryCode } = req.body;
+      if (
+        !(await bcrypt.compare(password, employee.password)) ||
+        !(await checkSecondFactor(employee, { code, recoveryCode }))
+      ) {
+        logger.warn("Two-factor disable with invalid credentials", {
+          employeeId: employee._id,
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Invalid password or two-factor code",
+        });
+      }
+
+      await clearTwoFactor(employee._id);
+      logger.info("Two-factor authentication disabled", {
+        employeeId: employee._id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    } catch (error) {
+      logger.error("Error in disableTwoFactor", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Replace every recovery code, e.g. after using some of them
+const regenerateRecoveryCodes = [
+  body("code").notEmpty().withMessage("Code is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in regenerateRecoveryCodes", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findById(req.user.id).select(
+        TWO_FACTOR_FIELDS
+      );
+      if (!employee || !employee.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+      if (!(await checkSecondFactor(employee, { code: req.body.code }))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid two-factor code",
+        });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await Employee.updateOne(
+        { _id: employee._id },
+        { $set: { "twoFactor.recoveryCodes": hashes } }
+      );
+      logger.info("Recovery codes regenerated", { employeeId: employee._id });
+
+      res.status(200).json({
+        success: true,
+        message: "Recovery codes regenerated",
+        data: { recoveryCodes: codes },
+      });
+    } catch (error) {
+      logger.error("Error in regenerateRecoveryCodes", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// For employees who lost their authenticator and recovery codes. Their
+// sessions end; they log in with their password again and, if required,
+// enroll anew.
+const resetTwoFactor = [
+  param("id").isMongoId().withMessage("Valid employee id is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in resetTwoFactor", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findById(req.params.id);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      await clearTwoFactor(employee._id);
+      // Whoever holds the lost device must not stay signed in
+      await revokeSessions({ employee: employee._id });
+      logger.info("Two-factor authentication reset", {
+        employeeId: employee._id,
+        requesterId: req.user.id,
+      });
+
+      sendEmailAndNotify(
+        employee.email,
+        "Two-Factor Authentication Reset",
+        "An administrator reset the two-factor authentication of your account. If you did not ask for this, contact an administrator immediately."
+      ).catch((emailError) => {
+        logger.error("Failed to send two-factor reset email", {
+          error: emailError.message,
+          employeeId: employee._id,
+        });
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Two-factor authentication reset successfully",
+      });
+    } catch (error) {
+      logger.error("Error in resetTwoFactor", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// New access token for a refresh token, from the cookie or, for mobile
+// clients, the request body. The refresh token is replaced each time.
+const refreshSession = async (req, res) => {
+  try {
+    const presented =
+      req.cookies[REFRESH_COOKIE] || (req.body && req.body.refreshToken);
+    const rotated = presented && (await rotateRefreshToken(presented));
+    if (!rotated || rotated.reused) {
+      if (rotated) {
+        logger.warn("Reused refresh token, session revoked", {
+          sessionId: rotated.session._id,
+          employeeId: rotated.session.employee,
+        });
+      }
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    const { session, refreshToken } = rotated;
+    const employee = await Employee.findById(session.employee).select("role");
+    if (!employee) {
+      await revokeSessions({ _id: session._id });
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "User no longer exists",
+      });
+    }
+
+    const token = signAccessToken(employee, session);
+    setAuthCookies(res, token, refreshToken);
+    res.status(200).json({
+      success: true,
+      message: "Session refreshed successfully",
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    });
+  } catch (error) {
+    logger.error("Error in refreshSession", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Revoke the current session, found from the refresh token or the access
+// token even if expired, and clear every auth cookie
+const logoutEmployee = async (req, res) => {
+  try {
+    const refreshToken =
+      req.cookies[REFRESH_COOKIE] || (req.body && req.body.refreshToken);
+    const authHeader = req.headers.authorization;
+    const accessToken =
+      req.cookies.token ||
+      (authHeader && authHeader.startsWith("Bearer ")
+        ? authHeader.substring(7)
+        : null);
+
+    let sessionId = null;
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      sessionId = session && session._id;
+    }
+    if (!sessionId && accessToken) {
+      try {
+        sessionId = jwt.verify(accessToken, process.env.JWT_SECRET, {
+          ignoreExpiration: true,
+        }).sid;
+      } catch (error) {
+        logger.warn("Invalid token presented at logout", {
+          error: error.message,
+        });
+      }
+    }
+    if (sessionId) {
+      await revokeSessions({ _id: sessionId });
+    }
+
+    clearAuthCookies(res);
+    res.status(200).json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    logger.error("Error in logoutEmployee", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Email a reset link. The response is the same whether or not the address
+// belongs to an employee.
+const forgotPassword = [
+  body("email").isEmail().withMessage("Valid email is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in forgotPassword", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findOne({
+        email: req.body.email.toLowerCase(),
+      });
+      if (employee) {
+        const { link, expiresAt } = await issuePasswordToken(
+          employee._id,
+          "reset"
+        );
+        sendEmailAndNotify(
+          employee.email,
+          "Password Reset",
+          `Hello ${
+            employee.name
+          },\n\nUse this link to choose a new password:\n${link}\n\nIt can be used once and expires on ${expiresAt.toLocaleString()}. If you did not ask for a reset, you can ignore this email.`
+        ).catch((emailError) => {
+          logger.error("Failed to send password reset email", {
+            error: emailError.message,
+            employeeId: employee._id,
+          });
+        });
+        logger.info("Password reset requested", { employeeId: employee._id });
+      } else {
+        logger.warn("Password reset requested for unknown email", {
+          email: req.body.email,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message:
+          "If an account exists for this email, a reset link has been sent",
+      });
+    } catch (error) {
+      logger.error("Error in forgotPassword", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Set a password from an invitation or reset link
+const resetPassword = [
+  body("token").notEmpty().withMessage("Token is required"),
+  body("password").isString().withMessage("Password is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in resetPassword", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, password } = req.body;
+      const invalidPassword = await checkPassword(password);
+      if (invalidPassword) {
+        return res.status(400).json({
+          success: false,
+          message: invalidPassword,
+        });
+      }
+
+      const passwordToken = await consumePasswordToken(token);
+      const employee =
+        passwordToken && (await Employee.findById(passwordToken.employee));
+      if (!employee) {
+        return res.status(400).json({
+          success: false,
+          message: "This link is invalid or has expired",
+        });
+      }
+
+      await setPassword(employee, password);
+      await revokeSessions({ employee: employee._id });
+      await unlockAccount(employee.email);
+      logger.info("Password set from link", {
+        employeeId: employee._id,
+        purpose: passwordToken.purpose,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Password set successfully, you can now log in",
+      });
+    } catch (error) {
+      logger.error("Error in resetPassword", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Other devices are signed out; the current session stays active
+const changePassword = [
+  body("currentPassword")
+    .notEmpty()
+    .withMessage("Current password is required"),
+  body("newPassword").isString().withMessage("New password is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in changePassword", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+      const employee = await Employee.findById(req.user.id);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+      if (!(await bcrypt.compare(currentPassword, employee.password))) {
+        logger.warn("Password change with incorrect current password", {
+          employeeId: employee._id,
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Current password is incorrect",
+        });
+      }
+      const invalidPassword = await checkPassword(newPassword);
+      if (invalidPassword) {
+        return res.status(400).json({
+          success: false,
+          message: invalidPassword,
+        });
+      }
+
+      await setPassword(employee, newPassword);
+      await revokeSessions({
+        employee: employee._id,
+        _id: { $ne: req.user.sid },
+      });
+      logger.info("Password changed", { employeeId: employee._id });
+
+      res.status(200).json({
+        success: true,
+        message: "Password changed successfully",
+      });
+    } catch (error) {
+      logger.error("Error in changePassword", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Send a new invitation, e.g. when the first one expired. Previous links
+// stop working.
+const resendInvitation = [
+  param("id").isMongoId().withMessage("Valid employee id is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in resendInvitation", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findById(req.params.id);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      await sendInvitation(employee);
+      logger.info("Invitation sent", {
+        employeeId: employee._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Invitation sent successfully",
+      });
+    } catch (error) {
+      logger.error("Error in resendInvitation", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Lift a lockout caused by failed logins
+const unlockEmployee = [
+  param("id").isMongoId().withMessage("Valid employee id is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in unlockEmployee", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employee = await Employee.findById(req.params.id);
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      const lockedUntil = await getAccountLock(employee.email);
+      await unlockAccount(employee.email);
+      logger.info("Account unlocked", {
+        employeeId: employee._id,
+        wasLocked: Boolean(lockedUntil),
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: lockedUntil
+          ? "Account unlocked successfully"
+          : "Account was not locked",
+        data: { wasLocked: Boolean(lockedUntil) },
+      });
+    } catch (error) {
+      logger.error("Error in unlockEmployee", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Active sessions of the requester, or of any employee for admins
+const getSessions = [
+  query("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getSessions", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const employeeId = req.query.employeeId || req.user.id;
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only view own sessions or requires admin role",
+        });
+      }
+
+      const sessions = await Session.find({
+        employee: employeeId,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() },
+      }).sort({ lastUsedAt: -1 });
+
+      res.status(200).json({
         success: true,
-        message: "Employee registered successfully",
+        message: "Sessions retrieved successfully",
         data: {
-          employee: {
-            _id: employee._id,
-            name: employee.name,
-            email: employee.email,
-            role: employee.role,
-            position: employee.position,
-            internshipDetails: employee.internshipDetails,
-          },
+          sessions: sessions.map((session) => ({
+            ...session.toJSON(),
+            current: session._id.toString() === req.user.sid,
+          })),
         },
       });
     } catch (error) {
-      logger.error("Error in registerEmployee", { error: error.message });
+      logger.error("Error in getSessions", { error: error.message });
       res.status(500).json({
         success: false,
         message: "Server error",
@@ -170,95 +1389,74 @@ const registerEmployee = [
   },
 ];
 
-const loginEmployee = [
-  body("email").isEmail().withMessage("Valid email is required"),
-  body("password").notEmpty().withMessage("Password is required"),
+// Sign out a device; "all" revokes every other session of the requester
+const revokeSession = [
+  param("sessionId")
+    .custom((sessionId) => sessionId === "all" || isValidObjectId(sessionId))
+    .withMessage("Valid sessionId is required"),
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        logger.warn("Validation errors in loginEmployee", {
+        logger.warn("Validation errors in revokeSession", {
           errors: errors.array(),
         });
-
-        // Return user-friendly validation messages
-        const firstError = errors.array()[0];
-        let message = "Please check your input.";
-
-        if (firstError.path === "email") {
-          message = "Please enter a valid email address.";
-        } else if (firstError.path === "password") {
-          message = "Password is required.";
-        }
-
         return res.status(400).json({
           success: false,
-          message: message,
+          message: "Validation errors",
+          errors: errors.array(),
         });
       }
 
-      const { email, password } = req.body;
-      const employee = await Employee.findOne({ email });
-      if (!employee) {
-        logger.warn("Login attempt with invalid email", { email });
-        return res.status(401).json({
-          success: false,
-          message: "Invalid credentials",
+      const { sessionId } = req.params;
+      if (sessionId === "all") {
+        const result = await revokeSessions({
+          employee: req.user.id,
+          _id: { $ne: req.user.sid },
+        });
+        logger.info("Other sessions revoked", {
+          employeeId: req.user.id,
+          revoked: result.modifiedCount,
+        });
+        return res.status(200).json({
+          success: true,
+          message: "Other sessions revoked successfully",
+          data: { revoked: result.modifiedCount },
         });
       }
 
-      const isMatch = await bcrypt.compare(password, employee.password);
-      if (!isMatch) {
-        logger.warn("Login attempt with incorrect password", { email });
-        return res.status(401).json({
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
           success: false,
-          message: "Invalid credentials",
+          message: "Session not found",
         });
       }
-
-      const token = jwt.sign(
-        { id: employee._id, role: employee.role },
-        process.env.JWT_SECRET,
-        { expiresIn: "1h" }
-      );
-      logger.info("Employee logged in successfully", {
-        email,
-        employeeId: employee._id,
-      });
-
-      // Try different cookie configurations for mobile compatibility
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === "production",
-        maxAge: 3600 * 1000,
-      };
-
-      if (process.env.NODE_ENV === "production") {
-        // For production, use mobile-friendly settings
-        cookieOptions.sameSite = "none";
-      } else {
-        cookieOptions.sameSite = "lax";
-      }
-
-      res.cookie("token", token, cookieOptions);
-
-      // Also set a backup cookie with different settings for mobile
-      if (process.env.NODE_ENV === "production") {
-        res.cookie("auth_token", token, {
-          httpOnly: false, // Allow JS access as fallback
-          secure: true,
-          sameSite: "strict",
-          maxAge: 3600 * 1000,
+      if (
+        session.employee.toString() !== req.user.id &&
+        req.user.role !== "admin"
+      ) {
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only revoke own sessions or requires admin role",
         });
       }
 
+      await revokeSessions({ _id: session._id });
+      logger.info("Session revoked", {
+        sessionId: session._id,
+        employeeId: session.employee,
+        requesterId: req.user.id,
+      });
+
       res.status(200).json({
         success: true,
-        message: "Login successful",
-        token: token, // Include token in response for mobile fallback
+        message: "Session revoked successfully",
+        data: {},
       });
     } catch (error) {
-      logger.error("Error in loginEmployee", { error: error.message });
+      logger.error("Error in revokeSession", { error: error.message });
       res.status(500).json({
         success: false,
         message: "Server error",
@@ -268,6 +1466,25 @@ const loginEmployee = [
   },
 ];
 
+// Employees may enroll their first face directly; any later change to the
+// enrollment (adding or replacing descriptors) goes through an approved face
+// update request
+const refuseSelfEnrollmentChange = (req, res, employee) => {
+  if (req.user.role === "admin" || !enrolledDescriptors(employee).length) {
+    return false;
+  }
+  logger.warn("Face enrollment change attempted without approval", {
+    employeeId: employee._id,
+    requesterId: req.user.id,
+  });
+  res.status(403).json({
+    success: false,
+    message:
+      "Access denied: Changing your face enrollment requires an approved face update request",
+  });
+  return true;
+};
+
 const registerFace = [
   validateRegisterFace,
   async (req, res) => {
@@ -284,10 +1501,10 @@ const registerFace = [
         });
       }
 
-      const { faceDescriptor } = req.body;
+      const { faceDescriptor, replace } = req.body;
       const employeeId = req.user.id;
 
-      const employee = await Employee.findById(employeeId);
+      const employee = await Employee.findById(employeeId).select(FACE_FIELDS);
       if (!employee) {
         return res.status(404).json({
           success: false,
@@ -295,16 +1512,29 @@ const registerFace = [
         });
       }
 
-      employee.faceDescriptor = faceDescriptor;
+      if (refuseSelfEnrollmentChange(req, res, employee)) {
+        return;
+      }
+
+      const refused = await enrollFace(employee, faceDescriptor, replace);
+      if (refused) {
+        return res.status(refused.status).json({
+          success: false,
+          message: refused.message,
+        });
+      }
       await employee.save();
+      invalidateFaceIndex();
 
       logger.info("Face descriptor registered successfully", {
         employeeId: employee._id,
+        descriptorCount: employee.faceDescriptors.length,
       });
 
       res.status(200).json({
         success: true,
         message: "Face registered successfully",
+        data: { faceDescriptorCount: employee.faceDescriptors.length },
       });
     } catch (error) {
       logger.error("Error in registerFace", { error: error.message });
@@ -317,15 +1547,10 @@ const registerFace = [
   },
 ];
 
+// Replaces the enrollment with the descriptor unless `replace` is false.
+// Only admins may replace an existing enrollment.
 const updateFaceTemplate = [
-  body("faceDescriptor")
-    .isArray()
-    .withMessage("faceDescriptor must be an array")
-    .custom((value) => value.length === 128)
-    .withMessage("faceDescriptor must be 128 numbers"),
-  body("faceDescriptor.*")
-    .isFloat()
-    .withMessage("faceDescriptor must be numbers"),
+  validateRegisterFace,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -341,7 +1566,9 @@ const updateFaceTemplate = [
       }
 
       const { faceDescriptor } = req.body;
-      const employee = await Employee.findById(req.params.id);
+      const employee = await Employee.findById(req.params.id).select(
+        FACE_FIELDS
+      );
       if (!employee) {
         logger.warn("Employee not found in updateFaceTemplate", {
           employeeId: req.params.id,
@@ -365,8 +1592,20 @@ const updateFaceTemplate = [
         });
       }
 
-      employee.faceDescriptor = faceDescriptor;
+      if (refuseSelfEnrollmentChange(req, res, employee)) {
+        return;
+      }
+
+      const replace = req.body.replace !== false;
+      const refused = await enrollFace(employee, faceDescriptor, replace);
+      if (refused) {
+        return res.status(refused.status).json({
+          success: false,
+          message: refused.message,
+        });
+      }
       await employee.save();
+      invalidateFaceIndex();
       logger.info("Face descriptor updated successfully", {
         employeeId: employee._id,
       });
@@ -380,7 +1619,7 @@ const updateFaceTemplate = [
             name: employee.name,
             email: employee.email,
             role: employee.role,
-            faceDescriptor: employee.faceDescriptor,
+            faceDescriptorCount: employee.faceDescriptors.length,
           },
         },
       });
@@ -454,9 +1693,12 @@ const updateQrCode = [
 const getEmployees = async (req, res) => {
   try {
     const employees = await Employee.find().select("-password -qrCode");
+    const enrolled = new Set(
+      (await Employee.distinct("_id", FACE_ENROLLED_FILTER)).map(String)
+    );
     const employeesWithStatus = employees.map((emp) => ({
       ...emp.toObject(),
-      faceDescriptorRegistered: emp.faceDescriptor?.length === 128,
+      faceDescriptorRegistered: enrolled.has(emp._id.toString()),
     }));
     logger.info("Retrieved all employees", { requesterId: req.user.id });
 
@@ -504,7 +1746,9 @@ const getEmployeeById = async (req, res) => {
 
     const employeeWithStatus = {
       ...employee.toObject(),
-      faceDescriptorRegistered: employee.faceDescriptor?.length === 128,
+      faceDescriptorRegistered: Boolean(
+        await Employee.exists({ _id: employee._id, ...FACE_ENROLLED_FILTER })
+      ),
     };
 
     logger.info("Employee retrieved successfully", {
@@ -542,7 +1786,8 @@ const updateEmployee = [
         });
       }
 
-      const { name, email, role, position, internshipDetails } = req.body;
+      const { name, email, role, position, internshipDetails, manager } =
+        req.body;
       const employee = await Employee.findById(req.params.id);
       if (!employee) {
         logger.warn("Employee not found in updateEmployee", {
@@ -572,6 +1817,22 @@ const updateEmployee = [
       employee.position = position || employee.position;
       employee.internshipDetails =
         internshipDetails || employee.internshipDetails;
+      if (manager !== undefined) {
+        if (manager && manager === req.params.id) {
+          return res.status(400).json({
+            success: false,
+            message: "An employee cannot be their own manager",
+          });
+        }
+        if (manager && !(await Employee.exists({ _id: manager }))) {
+          logger.warn("Manager not found in updateEmployee", { manager });
+          return res.status(400).json({
+            success: false,
+            message: "Manager not found",
+          });
+        }
+        employee.manager = manager || undefined;
+      }
 
       await employee.save();
       logger.info("Employee updated successfully", {
@@ -590,6 +1851,7 @@ const updateEmployee = [
             role: employee.role,
             position: employee.position,
             internshipDetails: employee.internshipDetails,
+            manager: employee.manager,
           },
         },
       });
@@ -617,6 +1879,9 @@ const deleteEmployee = async (req, res) => {
       });
     }
 
+    await eraseFaceData(employee._id);
+    await revokeSessions({ employee: employee._id });
+    await discardPasswordTokens(employee._id);
     logger.info("Employee deleted successfully", {
       employeeId: req.params.id,
       requesterId: req.user.id,
@@ -666,16 +1931,10 @@ const getCurrentUser = async (req, res) => {
   }
 };
 
+// The employee's new face descriptor is kept until an admin decides on it
 const requestFaceUpdate = [
-  body("faceDescriptor")
-    .isArray()
-    .withMessage("faceDescriptor must be an array")
-    .custom((value) => value.length === 128)
-    .withMessage("faceDescriptor must be 128 numbers"),
-  body("faceDescriptor.*")
-    .isFloat()
-    .withMessage("faceDescriptor must be numbers"),
-  body("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  validateRegisterFace,
+  body("reason").optional().isString().trim(),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -690,24 +1949,248 @@ const requestFaceUpdate = [
         });
       }
 
-      const { faceDescriptor, employeeId } = req.body;
+      const { faceDescriptor, replace, reason } = req.body;
+      const employee = await Employee.findById(req.user.id).select("name");
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+      if (
+        await FaceUpdateRequest.exists({
+          employee: employee._id,
+          status: "pending",
+        })
+      ) {
+        return res.status(409).json({
+          success: false,
+          message: "A face update request is already pending",
+        });
+      }
+      const conflict = await findConflictingEnrollment(
+        faceDescriptor,
+        employee._id,
+        await getFacePolicy()
+      );
+      if (conflict) {
+        logger.warn("Face update request matches another employee", {
+          employeeId: employee._id,
+          conflictingEmployeeId: conflict.employeeId,
+        });
+        return res.status(409).json({
+          success: false,
+          message: "Face is too similar to another employee's enrollment",
+        });
+      }
+
+      const request = await FaceUpdateRequest.create({
+        employee: employee._id,
+        faceDescriptor,
+        replace,
+        reason,
+      });
+      logger.info("Face update request submitted", {
+        requestId: request._id,
+        employeeId: employee._id,
+      });
 
-      // Notify admin (implement email or internal notification system)
-      await sendEmailAndNotify(
-        process.env.EMAIL_USER, // Replace with admin email logic
+      notifyAdmins(
         "Face Update Request",
-        `Employee ${employeeId} has requested a face template update. Please approve or reject.`,
-        { userId: employeeId, type: "face_update_request" }
+        `${employee.name} has requested a face template update${
+          reason ? `. Reason: ${reason}` : ""
+        }. Please approve or reject.`,
+        "face_update_request"
+      ).catch((error) => {
+        logger.error("Failed to notify admins of face update request", {
+          error: error.message,
+          requestId: request._id,
+        });
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Face update request submitted. Awaiting admin approval.",
+        data: { requestId: request._id },
+      });
+    } catch (error) {
+      logger.error("Error in requestFaceUpdate", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getFaceUpdateRequests = [
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected"])
+    .withMessage("Status must be pending, approved or rejected"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getFaceUpdateRequests", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = req.query.status ? { status: req.query.status } : {};
+      const requests = await FaceUpdateRequest.find(filter)
+        .select("-faceDescriptor")
+        .populate("employee", "name email position")
+        .populate("decidedBy", "name")
+        .sort({ createdAt: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Face update requests retrieved successfully",
+        data: { requests },
+      });
+    } catch (error) {
+      logger.error("Error in getFaceUpdateRequests", {
+        error: error.message,
+      });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Approving applies the descriptor to the employee's enrollment
+const decideFaceUpdateRequest = [
+  param("requestId").isMongoId().withMessage("Valid requestId is required"),
+  body("status")
+    .isIn(["approved", "rejected"])
+    .withMessage("Status must be approved or rejected"),
+  body("comment").optional().isString().trim(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in decideFaceUpdateRequest", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const request = await FaceUpdateRequest.findById(
+        req.params.requestId
+      ).select("+faceDescriptor");
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          message: "Face update request not found",
+        });
+      }
+      if (request.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Face update request is already ${request.status}`,
+        });
+      }
+      const employee = await Employee.findById(request.employee).select(
+        FACE_FIELDS
+      );
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      // Claim the request atomically, so concurrent decisions cannot both
+      // apply it (or notify twice)
+      const { status, comment } = req.body;
+      const decided = await FaceUpdateRequest.findOneAndUpdate(
+        { _id: request._id, status: "pending" },
+        { status, comment, decidedBy: req.user.id, decidedAt: new Date() },
+        { new: true }
       );
+      if (!decided) {
+        return res.status(409).json({
+          success: false,
+          message: "Face update request was decided meanwhile",
+        });
+      }
+      const reopen = () =>
+        FaceUpdateRequest.updateOne(
+          { _id: request._id },
+          {
+            status: "pending",
+            $unset: { comment: 1, decidedBy: 1, decidedAt: 1 },
+          }
+        );
+
+      if (status === "approved") {
+        let refused;
+        try {
+          refused = await enrollFace(
+            employee,
+            request.faceDescriptor,
+            request.replace
+          );
+          if (!refused) {
+            await employee.save();
+          }
+        } catch (error) {
+          await reopen();
+          throw error;
+        }
+        if (refused) {
+          await reopen();
+          return res.status(refused.status).json({
+            success: false,
+            message: refused.message,
+          });
+        }
+        invalidateFaceIndex();
+      }
+
+      logger.info("Face update request decided", {
+        requestId: request._id,
+        status,
+        requesterId: req.user.id,
+      });
 
-      logger.info("Face update request submitted", { employeeId });
+      sendEmailAndNotify(
+        employee.email,
+        `Face Update ${status === "approved" ? "Approved" : "Rejected"}`,
+        `Your face template update request has been ${status}${
+          comment ? `. Comment: ${comment}` : "."
+        }`,
+        { userId: employee._id.toString(), type: `face_update_${status}` }
+      ).catch((emailError) => {
+        logger.error("Failed to send face update notification", {
+          error: emailError.message,
+          requestId: request._id,
+        });
+      });
 
       res.status(200).json({
         success: true,
-        message: "Face update request submitted. Awaiting admin approval.",
+        message: `Face update request ${status} successfully`,
+        data: { request: decided },
       });
     } catch (error) {
-      logger.error("Error in requestFaceUpdate", { error: error.message });
+      logger.error("Error in decideFaceUpdateRequest", {
+        error: error.message,
+      });
       res.status(500).json({
         success: false,
         message: "Server error",
@@ -717,10 +2200,70 @@ const requestFaceUpdate = [
   },
 ];
 
+// Erase an employee's biometric data: their face enrollment and every
+// stored capture. Facial check-in needs a new enrollment afterwards.
+const deleteBiometricData = async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id && req.user.role !== "admin") {
+      logger.warn("Unauthorized attempt to delete biometric data", {
+        employeeId: req.params.id,
+        requesterId: req.user.id,
+        requesterRole: req.user.role,
+      });
+      return res.status(403).json({
+        success: false,
+        message:
+          "Access denied: Can only delete own biometric data or requires admin role",
+      });
+    }
+    if (!(await Employee.exists({ _id: req.params.id }))) {
+      return res.status(404).json({
+        success: false,
+        message: "Employee not found",
+      });
+    }
+
+    await eraseFaceData(req.params.id);
+    logger.info("Biometric data deleted", {
+      employeeId: req.params.id,
+      requesterId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Biometric data deleted successfully",
+      data: {},
+    });
+  } catch (error) {
+    logger.error("Error in deleteBiometricData", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
 // Add to module.exports
 module.exports = {
   registerEmployee,
+  setupFirstAdmin,
   loginEmployee,
+  refreshSession,
+  logoutEmployee,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  resendInvitation,
+  unlockEmployee,
   registerFace,
   updateFaceTemplate,
   updateQrCode,
@@ -729,5 +2272,8 @@ module.exports = {
   updateEmployee,
   deleteEmployee,
   getCurrentUser,
-  requestFaceUpdate, // New endpoint
+  requestFaceUpdate,
+  getFaceUpdateRequests,
+  decideFaceUpdateRequest,
+  deleteBiometricData,
 };
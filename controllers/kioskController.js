@@ -0,0 +1,285 @@
+const KioskDevice = require("../models/KioskDevice");
+const WorkSite = require("../models/WorkSite");
+const { body, param, validationResult } = require("express-validator");
+const winston = require("winston");
+const { generateDeviceToken } = require("../utils/kioskTokens");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Validation middleware
+const kioskFields = (isUpdate) => [
+  isUpdate
+    ? body("name").optional().notEmpty().withMessage("Name cannot be empty")
+    : body("name").notEmpty().withMessage("Name is required"),
+  (isUpdate ? body("workSite").optional() : body("workSite"))
+    .isMongoId()
+    .withMessage("Valid workSite is required"),
+  body("active")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("active must be a boolean"),
+];
+
+const validateKioskId = [
+  param("kioskId").isMongoId().withMessage("Valid kioskId is required"),
+];
+
+const findWorkSite = (workSiteId) =>
+  WorkSite.findOne({ _id: workSiteId, active: true });
+
+const getKioskDevices = async (req, res) => {
+  try {
+    const devices = await KioskDevice.find()
+      .populate("workSite", "name")
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Kiosk devices retrieved successfully",
+      data: { devices },
+    });
+  } catch (error) {
+    logger.error("Error in getKioskDevices", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+// Register a device. The response carries its token, which is not stored
+// and cannot be retrieved later.
+const registerKioskDevice = [
+  kioskFields(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in registerKioskDevice", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { name, workSite } = req.body;
+      if (!(await findWorkSite(workSite))) {
+        return res.status(400).json({
+          success: false,
+          message: "Work site not found or inactive",
+        });
+      }
+
+      const { token, tokenHash } = generateDeviceToken();
+      const device = await KioskDevice.create({
+        name,
+        workSite,
+        tokenHash,
+        createdBy: req.user.id,
+      });
+      logger.info("Kiosk device registered successfully", {
+        kioskId: device._id,
+        workSite,
+        requesterId: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Kiosk device registered successfully",
+        data: { device, token },
+      });
+    } catch (error) {
+      logger.error("Error in registerKioskDevice", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const updateKioskDevice = [
+  validateKioskId,
+  kioskFields(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in updateKioskDevice", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const device = await KioskDevice.findById(req.params.kioskId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Kiosk device not found",
+        });
+      }
+
+      const { name, workSite, active } = req.body;
+      if (workSite !== undefined && !(await findWorkSite(workSite))) {
+        return res.status(400).json({
+          success: false,
+          message: "Work site not found or inactive",
+        });
+      }
+      if (name !== undefined) device.name = name;
+      if (workSite !== undefined) device.workSite = workSite;
+      if (active !== undefined) device.active = active;
+      await device.save();
+      logger.info("Kiosk device updated successfully", {
+        kioskId: device._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Kiosk device updated successfully",
+        data: { device },
+      });
+    } catch (error) {
+      logger.error("Error in updateKioskDevice", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Issue a new token, e.g. when a device is lost or reinstalled. The old
+// token stops working immediately.
+const rotateKioskToken = [
+  validateKioskId,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in rotateKioskToken", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, tokenHash } = generateDeviceToken();
+      const device = await KioskDevice.findByIdAndUpdate(
+        req.params.kioskId,
+        { tokenHash },
+        { new: true }
+      );
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Kiosk device not found",
+        });
+      }
+      logger.info("Kiosk token rotated successfully", {
+        kioskId: device._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Kiosk token rotated successfully",
+        data: { device, token },
+      });
+    } catch (error) {
+      logger.error("Error in rotateKioskToken", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Attendance recorded by the device keeps its reference
+const deleteKioskDevice = [
+  validateKioskId,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in deleteKioskDevice", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const device = await KioskDevice.findByIdAndDelete(req.params.kioskId);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          message: "Kiosk device not found",
+        });
+      }
+      logger.info("Kiosk device deleted successfully", {
+        kioskId: req.params.kioskId,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Kiosk device deleted successfully",
+        data: {},
+      });
+    } catch (error) {
+      logger.error("Error in deleteKioskDevice", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  getKioskDevices,
+  registerKioskDevice,
+  updateKioskDevice,
+  rotateKioskToken,
+  deleteKioskDevice,
+};
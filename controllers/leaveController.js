@@ -1,9 +1,29 @@
 const Leave = require("../models/Leave");
 const Employee = require("../models/Employee");
+const Attendance = require("../models/Attendance");
+const CompanySettings = require("../models/CompanySettings");
+const Notification = require("../models/Notification");
 const { body, param, validationResult } = require("express-validator");
 const winston = require("winston");
-const { sendEmailAndNotify } = require("../utils/email"); // Updated to use sendEmailAndNotify
+const { sendEmailAndNotify, notifyAdmins } = require("../utils/email"); // Updated to use sendEmailAndNotify
 const mongoose = require("mongoose");
+const {
+  LEAVE_POLICIES,
+  LEAVE_TYPES,
+  isTypeAllowedForRole,
+  getBalances,
+  deductLeave,
+  refundLeave,
+} = require("../utils/leaveBalance");
+const LeaveLedger = require("../models/LeaveLedger");
+const {
+  dateKey,
+  startOfDay,
+  endOfDay,
+  loadCalendar,
+  isWorkingDay,
+  countWorkingDays,
+} = require("../utils/workingDays");
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -44,6 +64,20 @@ const validateRequestLeave = [
       return true;
     }),
   body("reason").notEmpty().withMessage("Reason is required"),
+  body("type")
+    .optional()
+    .isIn(LEAVE_TYPES)
+    .withMessage(`Type must be one of: ${LEAVE_TYPES.join(", ")}`),
+  body("halfDay")
+    .optional()
+    .isIn(["morning", "afternoon"])
+    .withMessage("halfDay must be one of: morning, afternoon")
+    .custom((halfDay, { req }) => {
+      if (dateKey(req.body.startDate) !== dateKey(req.body.endDate)) {
+        throw new Error("Half-day leave must start and end on the same day");
+      }
+      return true;
+    }),
 ];
 
 const validateApproveLeave = [
@@ -51,12 +85,195 @@ const validateApproveLeave = [
   body("status")
     .isIn(["approved", "rejected"])
     .withMessage("Status must be one of: approved, rejected"),
+  body("comment")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Comment must be at most 500 characters"),
 ];
 
 const validateGetLeaves = [
   param("employeeId").isMongoId().withMessage("Valid employeeId is required"),
 ];
 
+const validateCancelLeave = [
+  body("leaveId").isMongoId().withMessage("Valid leaveId is required"),
+];
+
+const validateModifyLeave = [
+  body("leaveId").isMongoId().withMessage("Valid leaveId is required"),
+  body("startDate")
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid startDate is required"),
+  body("endDate")
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid endDate is required")
+    .custom((endDate, { req }) => {
+      if (new Date(endDate) < new Date(req.body.startDate)) {
+        throw new Error("endDate must be after or equal to startDate");
+      }
+      return true;
+    }),
+  body("halfDay")
+    .optional()
+    .isIn(["morning", "afternoon"])
+    .withMessage("halfDay must be one of: morning, afternoon")
+    .custom((halfDay, { req }) => {
+      if (dateKey(req.body.startDate) !== dateKey(req.body.endDate)) {
+        throw new Error("Half-day leave must start and end on the same day");
+      }
+      return true;
+    }),
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+];
+
+// Attach the duration in working days against the current holiday calendar
+const withWorkingDays = async (leaves) => {
+  const calendar = await loadCalendar();
+  return leaves.map((leave) => ({
+    ...leave.toObject(),
+    workingDays: countWorkingDays(
+      leave.startDate,
+      leave.endDate,
+      calendar,
+      leave.halfDay
+    ),
+  }));
+};
+
+// Pending or approved leaves and recorded attendance on the requested dates
+const findLeaveConflicts = async (
+  employeeId,
+  startDate,
+  endDate,
+  halfDay,
+  excludeLeaveId
+) => {
+  const from = startOfDay(startDate);
+  const to = endOfDay(endDate);
+
+  const overlapping = await Leave.find({
+    ...(excludeLeaveId && { _id: { $ne: excludeLeaveId } }),
+    employee: employeeId,
+    status: { $in: ["pending", "approved"] },
+    startDate: { $lte: to },
+    endDate: { $gte: from },
+  });
+  // Morning and afternoon halves of the same day do not overlap
+  const leaves = overlapping.filter(
+    (leave) => !(halfDay && leave.halfDay && leave.halfDay !== halfDay)
+  );
+
+  // A half-day leave leaves the other half of the day to be worked
+  const attendance = halfDay
+    ? []
+    : await Attendance.find({
+        employee: employeeId,
+        entryTime: { $gte: from, $lte: to },
+      });
+
+  return { leaves, attendance };
+};
+
+// Days on which approving the leave would put more than the allowed share of
+// the employee's position on approved leave at the same time
+const checkTeamCapacity = async (leave, calendar, dates = leave) => {
+  const { position } = leave.employee;
+  if (!position) {
+    return null;
+  }
+
+  const settings = await CompanySettings.getSettings();
+  const team = await Employee.find({ position }).select("_id");
+  const others = await Leave.find({
+    _id: { $ne: leave._id },
+    employee: { $in: team.map((member) => member._id) },
+    status: "approved",
+    startDate: { $lte: endOfDay(dates.endDate) },
+    endDate: { $gte: startOfDay(dates.startDate) },
+  });
+
+  const days = [];
+  const day = startOfDay(dates.startDate);
+  const last = startOfDay(dates.endDate);
+  while (day <= last) {
+    if (isWorkingDay(day, calendar)) {
+      const absent =
+        1 +
+        others.filter(
+          (other) =>
+            startOfDay(other.startDate) <= day &&
+            startOfDay(other.endDate) >= day
+        ).length;
+      if (absent / team.length > settings.maxAbsentRatioPerPosition) {
+        days.push({ date: dateKey(day), absent });
+      }
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  if (!days.length) {
+    return null;
+  }
+  return {
+    type: "team_capacity",
+    message: `More than ${Math.round(
+      settings.maxAbsentRatioPerPosition * 100
+    )}% of ${position} staff will be on leave on ${days.length} day(s)`,
+    position,
+    headcount: team.length,
+    days,
+  };
+};
+
+// Approval steps for a new request, following the configured chain. The
+// manager step is skipped for employees without a manager, or recorded as
+// their own manager.
+const buildApprovalSteps = (employee, chain) => {
+  const hasManager =
+    Boolean(employee.manager) &&
+    employee.manager.toString() !== employee._id.toString();
+  const steps = chain
+    .filter((role) => role !== "manager" || hasManager)
+    .map((role) =>
+      role === "manager" ? { role, approver: employee.manager } : { role }
+    );
+  return steps.length ? steps : [{ role: "hr" }];
+};
+
+// Admins can act on any step; managers only on the step assigned to them.
+// Nobody decides on their own leave.
+const canDecideStep = (leave, step, user) =>
+  (leave.employee._id || leave.employee).toString() !== user.id &&
+  (user.role === "admin" ||
+    (step.role === "manager" &&
+      Boolean(step.approver) &&
+      step.approver.toString() === user.id));
+
+const notifyStepApprovers = async (step, message) => {
+  const approvers =
+    step.role === "manager"
+      ? await Employee.find({ _id: step.approver })
+      : await Employee.find({ role: "admin" });
+
+  for (const approver of approvers) {
+    const notification = new Notification({
+      userId: approver._id,
+      message,
+      type: "leave_request",
+    });
+    await notification.save();
+  }
+};
+
 const requestLeave = [
   validateRequestLeave,
   async (req, res) => {
@@ -73,7 +290,8 @@ const requestLeave = [
         });
       }
 
-      const { employeeId, startDate, endDate, reason } = req.body;
+      const { employeeId, startDate, endDate, reason, halfDay } = req.body;
+      const type = req.body.type || "annual";
 
       // Check if employee exists and requester is authorized
       const employee = await Employee.findById(employeeId);
@@ -97,11 +315,82 @@ const requestLeave = [
         });
       }
 
+      if (!isTypeAllowedForRole(type, employee.role)) {
+        logger.warn("Leave type not allowed for role", {
+          employeeId,
+          type,
+          role: employee.role,
+        });
+        return res.status(400).json({
+          success: false,
+          message: `Leave type ${type} is not available for ${employee.role} accounts`,
+        });
+      }
+
+      const calendar = await loadCalendar();
+      const days = countWorkingDays(startDate, endDate, calendar, halfDay);
+      if (days === 0) {
+        logger.warn("Leave request covers no working days", {
+          employeeId,
+          startDate,
+          endDate,
+        });
+        return res.status(400).json({
+          success: false,
+          message: "The requested period contains no working days",
+        });
+      }
+      const conflicts = await findLeaveConflicts(
+        employeeId,
+        startDate,
+        endDate,
+        halfDay
+      );
+      if (conflicts.leaves.length || conflicts.attendance.length) {
+        logger.warn("Conflicting leave request", {
+          employeeId,
+          leaveIds: conflicts.leaves.map((leave) => leave._id),
+          attendanceIds: conflicts.attendance.map((record) => record._id),
+        });
+        return res.status(409).json({
+          success: false,
+          message:
+            "Leave request overlaps existing leave or recorded attendance",
+          data: { conflicts },
+        });
+      }
+
+      if (LEAVE_POLICIES[type].tracked) {
+        const balances = await getBalances(employee);
+        if (days > balances[type].available) {
+          logger.warn("Insufficient leave balance in requestLeave", {
+            employeeId,
+            type,
+            days,
+            available: balances[type].available,
+          });
+          return res.status(400).json({
+            success: false,
+            message: "Insufficient leave balance",
+            data: { type, requested: days, balance: balances[type] },
+          });
+        }
+      }
+
+      const settings = await CompanySettings.getSettings();
       const leave = new Leave({
         employee: employeeId,
+        type,
+        days,
         startDate,
         endDate,
+        halfDay,
         reason,
+        approvalSteps: buildApprovalSteps(
+          employee,
+          settings.leaveApprovalChain
+        ),
+        history: [{ action: "submitted", actor: req.user.id }],
       });
 
       await leave.save();
@@ -118,22 +407,15 @@ const requestLeave = [
         { userId: employeeId, type: "leave_request" }
       );
 
-      // Notify all admins about the new leave request
-      const admins = await Employee.find({ role: "admin" });
-      const Notification = require("../models/Notification");
-
-      for (const admin of admins) {
-        const notification = new Notification({
-          userId: admin._id,
-          message: `${employee.name} requested leave from ${new Date(
-            startDate
-          ).toLocaleDateString()} to ${new Date(
-            endDate
-          ).toLocaleDateString()}. Reason: ${reason}`,
-          type: "leave_request",
-        });
-        await notification.save();
-      }
+      // Notify whoever approves the first step
+      await notifyStepApprovers(
+        leave.approvalSteps[0],
+        `${employee.name} requested leave from ${new Date(
+          startDate
+        ).toLocaleDateString()} to ${new Date(
+          endDate
+        ).toLocaleDateString()}. Reason: ${reason}`
+      );
 
       logger.info("Leave requested successfully", {
         leaveId: leave._id,
@@ -173,10 +455,10 @@ const approveLeave = [
         });
       }
 
-      const { leaveId, status } = req.body;
+      const { leaveId, status, comment } = req.body;
       const leave = await Leave.findById(leaveId).populate(
         "employee",
-        "name email"
+        "name email role position hireDate createdAt"
       );
       if (!leave) {
         logger.warn("Leave not found in approveLeave", { leaveId });
@@ -185,9 +467,233 @@ const approveLeave = [
           message: "Leave request not found",
         });
       }
+      // Approved leaves come back for approval when a change is requested
+      const changeKind =
+        leave.status === "approved" && leave.changeRequest
+          ? leave.changeRequest.kind
+          : null;
+      if (leave.status !== "pending" && !changeKind) {
+        logger.warn("Leave already decided in approveLeave", {
+          leaveId,
+          status: leave.status,
+        });
+        return res.status(409).json({
+          success: false,
+          message: `Leave request is already ${leave.status}`,
+        });
+      }
+
+      if (!leave.approvalSteps.length) {
+        // Requests submitted before approval chains existed go straight to HR
+        leave.approvalSteps = [{ role: "hr" }];
+        leave.currentStep = 0;
+      }
+      const step = leave.approvalSteps[leave.currentStep];
+      if (!canDecideStep(leave, step, req.user)) {
+        logger.warn("Unauthorized leave decision", {
+          leaveId,
+          step: step.role,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: You are not an approver for the current step of this leave",
+        });
+      }
+      const isFinalStep = leave.currentStep === leave.approvalSteps.length - 1;
+
+      const calendar = await loadCalendar();
+      if (leave.days == null) {
+        // Requests created before durations were stored
+        leave.days = countWorkingDays(
+          leave.startDate,
+          leave.endDate,
+          calendar,
+          leave.halfDay
+        );
+      }
+
+      if (
+        status === "approved" &&
+        isFinalStep &&
+        changeKind !== "cancellation" &&
+        LEAVE_POLICIES[leave.type].tracked
+      ) {
+        const balances = await getBalances(leave.employee);
+        // A modification gives back the days already charged for this leave
+        const needed =
+          changeKind === "modification" ? leave.changeRequest.days : leave.days;
+        const available =
+          balances[leave.type].balance +
+          (changeKind === "modification" ? leave.days : 0);
+        if (needed > available) {
+          logger.warn("Insufficient leave balance in approveLeave", {
+            leaveId,
+            type: leave.type,
+            days: needed,
+            balance: balances[leave.type].balance,
+          });
+          return res.status(400).json({
+            success: false,
+            message: "Insufficient leave balance",
+            data: { type: leave.type, balance: balances[leave.type] },
+          });
+        }
+      }
+
+      const warnings = [];
+      if (status === "approved" && changeKind !== "cancellation") {
+        const capacityWarning = await checkTeamCapacity(
+          leave,
+          calendar,
+          changeKind === "modification" ? leave.changeRequest : leave
+        );
+        if (capacityWarning) {
+          warnings.push(capacityWarning);
+          logger.warn("Team capacity exceeded in approveLeave", {
+            leaveId,
+            position: capacityWarning.position,
+            days: capacityWarning.days,
+          });
+        }
+      }
+
+      // Claim the step atomically, so concurrent decisions cannot both
+      // advance it (and deduct the balance twice)
+      const decidedAt = new Date();
+      const claimed = await Leave.findOneAndUpdate(
+        {
+          _id: leave._id,
+          status: leave.status,
+          currentStep: leave.currentStep,
+          [`approvalSteps.${leave.currentStep}.decidedAt`]: null,
+        },
+        {
+          $set: {
+            [`approvalSteps.${leave.currentStep}.decidedBy`]: req.user.id,
+            [`approvalSteps.${leave.currentStep}.decidedAt`]: decidedAt,
+          },
+        }
+      );
+      if (!claimed) {
+        logger.warn("Leave step decided concurrently in approveLeave", {
+          leaveId,
+          step: step.role,
+          requesterId: req.user.id,
+        });
+        return res.status(409).json({
+          success: false,
+          message: "This step was decided meanwhile, reload the leave request",
+        });
+      }
+
+      step.decision = status;
+      step.comment = comment;
+      step.decidedBy = req.user.id;
+      step.decidedAt = decidedAt;
+      leave.history.push({
+        action: status,
+        step: step.role,
+        actor: req.user.id,
+        comment,
+        change: changeKind || undefined,
+      });
+
+      if (status === "approved" && !isFinalStep) {
+        leave.currentStep += 1;
+        await leave.save();
+
+        const nextStep = leave.approvalSteps[leave.currentStep];
+        await notifyStepApprovers(
+          nextStep,
+          `${leave.employee.name}'s ${
+            changeKind ? `${changeKind} request for the leave` : "leave request"
+          } ${describePeriod(
+            leave.startDate,
+            leave.endDate
+          )} was approved at the ${step.role} step and awaits your approval.`
+        );
+        logger.info("Leave approval step completed", {
+          leaveId,
+          step: step.role,
+          nextStep: nextStep.role,
+          requesterId: req.user.id,
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: `Leave approved at ${step.role} step, awaiting ${nextStep.role} approval`,
+          data: { leave, warnings },
+        });
+      }
+
+      if (changeKind) {
+        const change = leave.changeRequest;
+        const period = describePeriod(leave.startDate, leave.endDate);
+        leave.changeRequest = undefined;
+        if (status === "approved" && changeKind === "cancellation") {
+          leave.status = "cancelled";
+          leave.history.push({
+            action: "cancelled",
+            actor: req.user.id,
+            change: changeKind,
+          });
+          await leave.save();
+          await refundLeave(leave, req.user.id);
+        } else if (status === "approved") {
+          await refundLeave(leave, req.user.id, "Leave modified");
+          leave.startDate = change.startDate;
+          leave.endDate = change.endDate;
+          leave.halfDay = change.halfDay;
+          leave.days = change.days;
+          leave.history.push({
+            action: "modified",
+            actor: req.user.id,
+            change: changeKind,
+          });
+          await leave.save();
+          await deductLeave(leave, req.user.id, "Leave modified");
+        } else {
+          await leave.save();
+        }
+
+        await sendEmailAndNotify(
+          leave.employee.email,
+          `Leave ${
+            changeKind === "cancellation" ? "Cancellation" : "Modification"
+          } ${status.charAt(0).toUpperCase() + status.slice(1)}`,
+          `Your ${changeKind} request for the leave ${period} has been ${status}${
+            comment ? `. Comment: ${comment}` : "."
+          }`,
+          {
+            userId: leave.employee._id.toString(),
+            type:
+              status === "approved"
+                ? "leave_change_approved"
+                : "leave_change_rejected",
+          }
+        );
+        logger.info("Leave change request decided", {
+          leaveId,
+          change: changeKind,
+          status,
+          requesterId: req.user.id,
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: `Leave ${changeKind} ${status} successfully`,
+          data: { leave, warnings },
+        });
+      }
 
       leave.status = status;
       await leave.save();
+      if (status === "approved") {
+        await deductLeave(leave, req.user.id);
+      }
 
       await sendEmailAndNotify(
         leave.employee.email,
@@ -196,7 +702,9 @@ const approveLeave = [
           leave.startDate
         ).toLocaleDateString()} to ${new Date(
           leave.endDate
-        ).toLocaleDateString()} has been ${status}.`,
+        ).toLocaleDateString()} has been ${status}${
+          comment ? `. Comment: ${comment}` : "."
+        }`,
         { userId: leave.employee._id.toString(), type: `leave_${status}` }
       ); // Updated to sendEmailAndNotify
       logger.info("Leave status updated successfully", {
@@ -208,7 +716,7 @@ const approveLeave = [
       res.status(200).json({
         success: true,
         message: `Leave ${status} successfully`,
-        data: { leave },
+        data: { leave, warnings },
       });
     } catch (error) {
       logger.error("Error in approveLeave", { error: error.message });
@@ -253,9 +761,11 @@ const getLeaves = [
         });
       }
 
-      const leaves = await Leave.find({ employee: employeeId }).populate(
-        "employee",
-        "name email"
+      const leaves = await withWorkingDays(
+        await Leave.find({ employee: employeeId })
+          .populate("employee", "name email")
+          .populate("approvalSteps.decidedBy", "name")
+          .populate("history.actor", "name")
       );
       logger.info("Employee leaves retrieved successfully", {
         employeeId,
@@ -278,9 +788,497 @@ const getLeaves = [
   },
 ];
 
+// Load a leave owned by the requester (or any leave for admins), replying
+// with 404/403 and returning null otherwise
+const findLeaveForRequester = async (req, res, handler) => {
+  const { leaveId } = req.body;
+  const leave = await Leave.findById(leaveId).populate(
+    "employee",
+    "name email role position manager hireDate createdAt"
+  );
+  if (!leave) {
+    logger.warn(`Leave not found in ${handler}`, { leaveId });
+    res.status(404).json({
+      success: false,
+      message: "Leave request not found",
+    });
+    return null;
+  }
+
+  if (
+    req.user.id !== leave.employee._id.toString() &&
+    req.user.role !== "admin"
+  ) {
+    logger.warn(`Unauthorized access in ${handler}`, {
+      leaveId,
+      requesterId: req.user.id,
+      requesterRole: req.user.role,
+    });
+    res.status(403).json({
+      success: false,
+      message:
+        "Access denied: Can only change own leave or requires admin role",
+    });
+    return null;
+  }
+  return leave;
+};
+
+const describePeriod = (startDate, endDate) =>
+  `from ${new Date(startDate).toLocaleDateString()} to ${new Date(
+    endDate
+  ).toLocaleDateString()}`;
+
+// Put a change to an approved leave through the approval chain again
+const openChangeRequest = async (leave, change, req) => {
+  const settings = await CompanySettings.getSettings();
+  leave.changeRequest = {
+    ...change,
+    requestedBy: req.user.id,
+    requestedAt: new Date(),
+  };
+  leave.approvalSteps = buildApprovalSteps(
+    leave.employee,
+    settings.leaveApprovalChain
+  );
+  leave.currentStep = 0;
+  leave.history.push({
+    action: `${change.kind}_requested`,
+    actor: req.user.id,
+    comment: change.reason,
+    change: change.kind,
+  });
+  await leave.save();
+
+  const period = describePeriod(leave.startDate, leave.endDate);
+  const text =
+    change.kind === "cancellation"
+      ? `${leave.employee.name} requested cancellation of the approved leave ${period}.`
+      : `${
+          leave.employee.name
+        } requested to move the approved leave ${period} to ${describePeriod(
+          change.startDate,
+          change.endDate
+        )}.`;
+  const type = `leave_${change.kind}_requested`;
+
+  await sendEmailAndNotify(
+    leave.employee.email,
+    `Leave ${
+      change.kind === "cancellation" ? "Cancellation" : "Modification"
+    } Requested`,
+    `Your request to ${
+      change.kind === "cancellation" ? "cancel" : "change"
+    } the leave ${period} has been submitted for approval.`,
+    { userId: leave.employee._id.toString(), type }
+  );
+  await notifyAdmins("Leave Change Request", text, type);
+  if (leave.approvalSteps[0].role === "manager") {
+    await notifyStepApprovers(leave.approvalSteps[0], text);
+  }
+};
+
+const withdrawLeave = [
+  validateCancelLeave,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in withdrawLeave", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const leave = await findLeaveForRequester(req, res, "withdrawLeave");
+      if (!leave) return;
+
+      const period = describePeriod(leave.startDate, leave.endDate);
+      let message;
+      if (leave.status === "pending") {
+        leave.status = "withdrawn";
+        leave.history.push({ action: "withdrawn", actor: req.user.id });
+        message = "Leave request withdrawn successfully";
+      } else if (leave.status === "approved" && leave.changeRequest) {
+        // Withdrawing a pending change leaves the approved leave untouched
+        leave.history.push({
+          action: "withdrawn",
+          actor: req.user.id,
+          change: leave.changeRequest.kind,
+        });
+        leave.changeRequest = undefined;
+        message = "Leave change request withdrawn successfully";
+      } else {
+        return res.status(409).json({
+          success: false,
+          message: `Only pending requests can be withdrawn; this leave is ${leave.status}`,
+        });
+      }
+      await leave.save();
+
+      await sendEmailAndNotify(
+        leave.employee.email,
+        "Leave Request Withdrawn",
+        `${message.replace(" successfully", "")} for the leave ${period}.`,
+        { userId: leave.employee._id.toString(), type: "leave_withdrawn" }
+      );
+      await notifyAdmins(
+        "Leave Request Withdrawn",
+        `${leave.employee.name} withdrew a pending request for the leave ${period}.`,
+        "leave_withdrawn"
+      );
+      logger.info("Leave request withdrawn", {
+        leaveId: leave._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message,
+        data: { leave },
+      });
+    } catch (error) {
+      logger.error("Error in withdrawLeave", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const cancelLeave = [
+  validateCancelLeave,
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be at most 500 characters"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in cancelLeave", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const leave = await findLeaveForRequester(req, res, "cancelLeave");
+      if (!leave) return;
+
+      if (leave.status !== "approved") {
+        return res.status(409).json({
+          success: false,
+          message:
+            leave.status === "pending"
+              ? "Pending leave requests must be withdrawn instead"
+              : `Leave request is already ${leave.status}`,
+        });
+      }
+      if (leave.changeRequest) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${leave.changeRequest.kind} request is already pending for this leave`,
+        });
+      }
+
+      // Employees ask for cancellation; admins cancel directly
+      if (req.user.role !== "admin") {
+        await openChangeRequest(
+          leave,
+          { kind: "cancellation", reason: req.body.reason },
+          req
+        );
+        logger.info("Leave cancellation requested", {
+          leaveId: leave._id,
+          requesterId: req.user.id,
+        });
+        return res.status(202).json({
+          success: true,
+          message: "Cancellation request submitted for approval",
+          data: { leave },
+        });
+      }
+
+      leave.status = "cancelled";
+      leave.history.push({
+        action: "cancelled",
+        actor: req.user.id,
+        comment: req.body.reason,
+      });
+      await leave.save();
+      await refundLeave(leave, req.user.id);
+
+      await sendEmailAndNotify(
+        leave.employee.email,
+        "Leave Request Cancelled",
+        `Your leave request ${describePeriod(
+          leave.startDate,
+          leave.endDate
+        )} has been cancelled.`,
+        { userId: leave.employee._id.toString(), type: "leave_cancelled" }
+      );
+      logger.info("Leave cancelled successfully", {
+        leaveId: leave._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Leave cancelled successfully",
+        data: { leave },
+      });
+    } catch (error) {
+      logger.error("Error in cancelLeave", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const modifyLeave = [
+  validateModifyLeave,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in modifyLeave", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const leave = await findLeaveForRequester(req, res, "modifyLeave");
+      if (!leave) return;
+
+      if (leave.status !== "approved") {
+        return res.status(409).json({
+          success: false,
+          message:
+            leave.status === "pending"
+              ? "Pending leave requests must be withdrawn and submitted again"
+              : `Leave request is already ${leave.status}`,
+        });
+      }
+      if (leave.changeRequest) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${leave.changeRequest.kind} request is already pending for this leave`,
+        });
+      }
+
+      const { startDate, endDate, halfDay, reason } = req.body;
+      const calendar = await loadCalendar();
+      const days = countWorkingDays(startDate, endDate, calendar, halfDay);
+      if (days === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The requested period contains no working days",
+        });
+      }
+
+      const conflicts = await findLeaveConflicts(
+        leave.employee._id,
+        startDate,
+        endDate,
+        halfDay,
+        leave._id
+      );
+      if (conflicts.leaves.length || conflicts.attendance.length) {
+        logger.warn("Conflicting leave modification", {
+          leaveId: leave._id,
+          leaveIds: conflicts.leaves.map((other) => other._id),
+          attendanceIds: conflicts.attendance.map((record) => record._id),
+        });
+        return res.status(409).json({
+          success: false,
+          message:
+            "Leave request overlaps existing leave or recorded attendance",
+          data: { conflicts },
+        });
+      }
+
+      if (LEAVE_POLICIES[leave.type].tracked) {
+        const balances = await getBalances(leave.employee);
+        // The days already charged for this leave are given back on approval
+        const available = balances[leave.type].available + (leave.days || 0);
+        if (days > available) {
+          return res.status(400).json({
+            success: false,
+            message: "Insufficient leave balance",
+            data: {
+              type: leave.type,
+              requested: days,
+              balance: balances[leave.type],
+            },
+          });
+        }
+      }
+
+      await openChangeRequest(
+        leave,
+        { kind: "modification", startDate, endDate, halfDay, days, reason },
+        req
+      );
+      logger.info("Leave modification requested", {
+        leaveId: leave._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(202).json({
+        success: true,
+        message: "Modification request submitted for approval",
+        data: { leave },
+      });
+    } catch (error) {
+      logger.error("Error in modifyLeave", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getLeaveBalance = [
+  validateGetLeaves,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getLeaveBalance", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId } = req.params;
+
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        logger.warn("Unauthorized access to leave balance", {
+          employeeId,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only view own leave balance or requires admin role",
+        });
+      }
+
+      const employee = await Employee.findById(employeeId).select(
+        "name role hireDate createdAt"
+      );
+      if (!employee) {
+        logger.warn("Employee not found in getLeaveBalance", { employeeId });
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      const balances = await getBalances(employee);
+      const ledger = await LeaveLedger.find({ employee: employeeId })
+        .populate("leave", "startDate endDate status")
+        .sort({ createdAt: -1 });
+      logger.info("Leave balance retrieved successfully", {
+        employeeId,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Leave balance retrieved successfully",
+        data: { balances, ledger },
+      });
+    } catch (error) {
+      logger.error("Error in getLeaveBalance", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getPendingApprovals = async (req, res) => {
+  try {
+    const filter = {
+      $or: [
+        { status: "pending" },
+        { status: "approved", "changeRequest.kind": { $exists: true } },
+      ],
+    };
+    if (req.user.role !== "admin") {
+      filter["approvalSteps.approver"] = req.user.id;
+    }
+
+    const pending = await Leave.find(filter)
+      .populate("employee", "name email position")
+      .populate("history.actor", "name")
+      .sort({ startDate: 1 });
+    const leaves = await withWorkingDays(
+      pending.filter((leave) =>
+        canDecideStep(
+          leave,
+          leave.approvalSteps[leave.currentStep] || { role: "hr" },
+          req.user
+        )
+      )
+    );
+    logger.info("Pending leave approvals retrieved successfully", {
+      requesterId: req.user.id,
+      count: leaves.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Pending approvals retrieved successfully",
+      data: { leaves },
+    });
+  } catch (error) {
+    logger.error("Error in getPendingApprovals", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
 const getAllLeaves = async (req, res) => {
   try {
-    const leaves = await Leave.find().populate("employee", "name email");
+    const leaves = await withWorkingDays(
+      await Leave.find()
+        .populate("employee", "name email")
+        .populate("approvalSteps.decidedBy", "name")
+        .populate("history.actor", "name")
+    );
     logger.info("All leaves retrieved successfully", {
       requesterId: req.user.id,
     });
@@ -305,4 +1303,9 @@ module.exports = {
   approveLeave,
   getLeaves,
   getAllLeaves,
+  cancelLeave,
+  getLeaveBalance,
+  getPendingApprovals,
+  withdrawLeave,
+  modifyLeave,
 };
@@ -0,0 +1,338 @@
+const Overtime = require("../models/Overtime");
+const Employee = require("../models/Employee");
+const { body, param, query, validationResult } = require("express-validator");
+const winston = require("winston");
+const { sendEmailAndNotify } = require("../utils/email");
+const { syncOvertime, getOvertimeTotals } = require("../utils/overtime");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+const MAX_RECALCULATION_DAYS = 366;
+
+// Validation middleware
+const dateRange = (location, isOptional) => {
+  const field = (name) =>
+    isOptional ? location(name).optional() : location(name);
+  return [
+    field("startDate")
+      .isISO8601()
+      .toDate()
+      .withMessage("Valid startDate is required"),
+    field("endDate")
+      .isISO8601()
+      .toDate()
+      .withMessage("Valid endDate is required")
+      .custom((endDate, { req }) => {
+        const { startDate } = location === body ? req.body : req.query;
+        // Express 5 re-parses req.query, so its startDate is still a string
+        return !startDate || endDate >= new Date(startDate);
+      })
+      .withMessage("endDate must not be before startDate"),
+  ];
+};
+
+const validateDecision = [
+  param("overtimeId").isMongoId().withMessage("Valid overtimeId is required"),
+  body("status")
+    .isIn(["approved", "rejected"])
+    .withMessage("Status must be approved or rejected"),
+  body("comment").optional().isString().trim(),
+];
+
+const rangeFilter = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) {
+    return undefined;
+  }
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  return range;
+};
+
+const getOvertime = [
+  query("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected"])
+    .withMessage("Status must be pending, approved or rejected"),
+  dateRange(query, true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getOvertime", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId, status } = req.query;
+      const filter = {};
+      if (employeeId) filter.employee = employeeId;
+      if (status) filter.status = status;
+      const range = rangeFilter(req.query);
+      if (range) filter.date = range;
+
+      const overtime = await Overtime.find(filter)
+        .populate("employee", "name email position")
+        .populate("decidedBy", "name")
+        .sort({ date: -1 });
+      logger.info("Overtime retrieved successfully", {
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Overtime retrieved successfully",
+        data: { overtime },
+      });
+    } catch (error) {
+      logger.error("Error in getOvertime", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getEmployeeOvertime = [
+  param("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  dateRange(query, true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getEmployeeOvertime", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId } = req.params;
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        logger.warn("Unauthorized access to employee overtime", {
+          employeeId,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only view own overtime or requires admin role",
+        });
+      }
+
+      const filter = { employee: employeeId };
+      const range = rangeFilter(req.query);
+      if (range) filter.date = range;
+      const overtime = await Overtime.find(filter)
+        .populate("decidedBy", "name")
+        .sort({ date: -1 });
+      const totals = await getOvertimeTotals(employeeId, range);
+
+      res.status(200).json({
+        success: true,
+        message: "Employee overtime retrieved successfully",
+        data: {
+          overtime,
+          approvedHours: totals.approvedMinutes / 60,
+          pendingHours: totals.pendingMinutes / 60,
+        },
+      });
+    } catch (error) {
+      logger.error("Error in getEmployeeOvertime", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Rebuild overtime blocks from attendance, e.g. after changing shifts,
+// holidays or multipliers
+const recalculateOvertime = [
+  body("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  dateRange(body, false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in recalculateOvertime", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId, startDate, endDate } = req.body;
+      if (
+        (endDate - startDate) / (24 * 60 * 60 * 1000) >
+        MAX_RECALCULATION_DAYS
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Range cannot exceed ${MAX_RECALCULATION_DAYS} days`,
+        });
+      }
+
+      const employees = employeeId
+        ? await Employee.find({ _id: employeeId }).select("_id")
+        : await Employee.find().select("_id");
+      if (!employees.length) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      let blocks = 0;
+      for (const employee of employees) {
+        const overtime = await syncOvertime(employee._id, startDate, endDate);
+        blocks += overtime.length;
+      }
+      logger.info("Overtime recalculated successfully", {
+        employeeId,
+        startDate,
+        endDate,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Overtime recalculated successfully",
+        data: { employees: employees.length, blocks },
+      });
+    } catch (error) {
+      logger.error("Error in recalculateOvertime", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const decideOvertime = [
+  validateDecision,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in decideOvertime", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const overtime = await Overtime.findById(req.params.overtimeId).populate(
+        "employee",
+        "name email"
+      );
+      if (!overtime) {
+        logger.warn("Overtime not found in decideOvertime", {
+          overtimeId: req.params.overtimeId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Overtime not found",
+        });
+      }
+
+      const { status, comment } = req.body;
+      overtime.status = status;
+      overtime.comment = comment;
+      overtime.decidedBy = req.user.id;
+      overtime.decidedAt = new Date();
+      await overtime.save();
+      logger.info("Overtime decision recorded", {
+        overtimeId: overtime._id,
+        status,
+        requesterId: req.user.id,
+      });
+
+      const hours = (overtime.minutes / 60).toFixed(2);
+      const period =
+        overtime.period === "week"
+          ? `the week of ${overtime.date.toLocaleDateString()}`
+          : overtime.date.toLocaleDateString();
+      sendEmailAndNotify(
+        overtime.employee.email,
+        `Overtime ${status === "approved" ? "Approved" : "Rejected"}`,
+        `Your ${hours} hours of overtime for ${period} have been ${status}${
+          comment ? `. Comment: ${comment}` : "."
+        }`,
+        { userId: overtime.employee._id, type: `overtime_${status}` }
+      ).catch((emailError) => {
+        logger.error("Failed to send overtime notification", {
+          error: emailError.message,
+          overtimeId: overtime._id,
+        });
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Overtime ${status} successfully`,
+        data: { overtime },
+      });
+    } catch (error) {
+      logger.error("Error in decideOvertime", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  getOvertime,
+  getEmployeeOvertime,
+  recalculateOvertime,
+  decideOvertime,
+};
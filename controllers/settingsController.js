@@ -0,0 +1,189 @@
+const CompanySettings = require("../models/CompanySettings");
+const Shift = require("../models/Shift");
+const { body, validationResult } = require("express-validator");
+const winston = require("winston");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Validation middleware
+const validateUpdateSettings = [
+  body("maxAbsentRatioPerPosition")
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .toFloat()
+    .withMessage("maxAbsentRatioPerPosition must be between 0 and 1"),
+  body("leaveApprovalChain")
+    .optional()
+    .isArray({ min: 1, max: 2 })
+    .withMessage("leaveApprovalChain must list at least one step"),
+  body("leaveApprovalChain.*")
+    .isIn(["manager", "hr"])
+    .withMessage("leaveApprovalChain steps must be one of: manager, hr"),
+  body("defaultShift")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("defaultShift must be a valid shift id or null"),
+  body([
+    "overtime.weekdayMultiplier",
+    "overtime.weekendMultiplier",
+    "overtime.holidayMultiplier",
+  ])
+    .optional()
+    .isFloat({ min: 1, max: 5 })
+    .toFloat()
+    .withMessage("Overtime multipliers must be between 1 and 5"),
+  body("overtime.minimumDailyMinutes")
+    .optional()
+    .isInt({ min: 0, max: 600 })
+    .toInt()
+    .withMessage("overtime.minimumDailyMinutes must be between 0 and 600"),
+  body("overtime.monthlyReferenceHours")
+    .optional()
+    .isFloat({ min: 1, max: 744 })
+    .toFloat()
+    .withMessage("overtime.monthlyReferenceHours must be between 1 and 744"),
+  body("faceRecognition.matchStrategy")
+    .optional()
+    .isIn(["closest", "mean"])
+    .withMessage("faceRecognition.matchStrategy must be one of: closest, mean"),
+  body("faceRecognition.matchThreshold")
+    .optional()
+    .isFloat({ min: 0.1, max: 1 })
+    .toFloat()
+    .withMessage("faceRecognition.matchThreshold must be between 0.1 and 1"),
+  body("faceRecognition.maxDescriptors")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage("faceRecognition.maxDescriptors must be between 1 and 10"),
+  body("passwordPolicy.minLength")
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .toInt()
+    .withMessage("passwordPolicy.minLength must be between 6 and 128"),
+  body([
+    "passwordPolicy.requireUppercase",
+    "passwordPolicy.requireLowercase",
+    "passwordPolicy.requireNumber",
+    "passwordPolicy.requireSymbol",
+  ])
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("passwordPolicy requirements must be booleans"),
+  body("twoFactor.requiredForAdmins")
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage("twoFactor.requiredForAdmins must be a boolean"),
+];
+
+const getSettings = async (req, res) => {
+  try {
+    const settings = await CompanySettings.getSettings();
+    res.status(200).json({
+      success: true,
+      message: "Settings retrieved successfully",
+      data: { settings },
+    });
+  } catch (error) {
+    logger.error("Error in getSettings", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const updateSettings = [
+  validateUpdateSettings,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in updateSettings", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const settings = await CompanySettings.getSettings();
+      const { maxAbsentRatioPerPosition, leaveApprovalChain, defaultShift } =
+        req.body;
+      if (defaultShift && !(await Shift.exists({ _id: defaultShift }))) {
+        return res.status(400).json({
+          success: false,
+          message: "Default shift not found",
+        });
+      }
+      if (maxAbsentRatioPerPosition !== undefined) {
+        settings.maxAbsentRatioPerPosition = maxAbsentRatioPerPosition;
+      }
+      if (leaveApprovalChain !== undefined) {
+        settings.leaveApprovalChain = [...new Set(leaveApprovalChain)];
+      }
+      if (defaultShift !== undefined) {
+        settings.defaultShift = defaultShift;
+      }
+      ["overtime", "faceRecognition", "passwordPolicy", "twoFactor"].forEach(
+        (group) => {
+          if (!req.body[group]) {
+            return;
+          }
+          Object.keys(settings.toObject()[group]).forEach((key) => {
+            if (req.body[group][key] !== undefined) {
+              settings[group][key] = req.body[group][key];
+            }
+          });
+        }
+      );
+
+      await settings.save();
+      logger.info("Settings updated successfully", {
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Settings updated successfully",
+        data: { settings },
+      });
+    } catch (error) {
+      logger.error("Error in updateSettings", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  getSettings,
+  updateSettings,
+};
@@ -0,0 +1,556 @@
+const Shift = require("../models/Shift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const Employee = require("../models/Employee");
+const CompanySettings = require("../models/CompanySettings");
+const { body, param, query, validationResult } = require("express-validator");
+const winston = require("winston");
+const { dateKey } = require("../utils/workingDays");
+const { createShiftResolver } = require("../utils/shifts");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SCHEDULE_DAYS = 92;
+
+// Validation middleware. On update every field is optional.
+const shiftFields = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field("name").notEmpty().withMessage("Name is required"),
+    field("startTime")
+      .matches(TIME_OF_DAY)
+      .withMessage("startTime must be formatted as HH:mm"),
+    field("endTime")
+      .matches(TIME_OF_DAY)
+      .withMessage("endTime must be formatted as HH:mm"),
+    body("gracePeriodMinutes")
+      .optional()
+      .isInt({ min: 0, max: 240 })
+      .toInt()
+      .withMessage("gracePeriodMinutes must be between 0 and 240"),
+    body("breakMinutes")
+      .optional()
+      .isInt({ min: 0, max: 480 })
+      .toInt()
+      .withMessage("breakMinutes must be between 0 and 480"),
+    body("daysOfWeek")
+      .optional()
+      .isArray({ min: 1, max: 7 })
+      .withMessage("daysOfWeek must be a non-empty array"),
+    body("daysOfWeek.*")
+      .isInt({ min: 0, max: 6 })
+      .toInt()
+      .withMessage("daysOfWeek must be days of the week (0 = Sunday)"),
+    body("active")
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage("active must be a boolean"),
+  ];
+};
+
+const validateShiftId = [
+  param("shiftId").isMongoId().withMessage("Valid shiftId is required"),
+];
+
+const validateAssignment = [
+  body("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  body("shifts")
+    .isArray({ min: 1 })
+    .withMessage("shifts must list at least one shift"),
+  body("shifts.*").isMongoId().withMessage("shifts must contain shift ids"),
+  body("rotationDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt()
+    .withMessage("rotationDays must be between 1 and 365"),
+  body("startDate")
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid startDate is required"),
+  body("endDate")
+    .optional({ values: "null" })
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid endDate is required")
+    .custom((endDate, { req }) => endDate >= req.body.startDate)
+    .withMessage("endDate must not be before startDate"),
+];
+
+const validateSchedule = [
+  param("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  query("startDate")
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid startDate is required"),
+  query("endDate")
+    .isISO8601()
+    .toDate()
+    .withMessage("Valid endDate is required")
+    // Express 5 re-parses req.query on each read, so sanitized values are
+    // not kept there
+    .custom((endDate, { req }) => endDate >= new Date(req.query.startDate))
+    .withMessage("endDate must not be before startDate"),
+];
+
+const applyShiftFields = (shift, fields) => {
+  [
+    "name",
+    "startTime",
+    "endTime",
+    "gracePeriodMinutes",
+    "breakMinutes",
+    "active",
+  ].forEach((key) => {
+    if (fields[key] !== undefined) {
+      shift[key] = fields[key];
+    }
+  });
+  if (fields.daysOfWeek !== undefined) {
+    shift.daysOfWeek = [...new Set(fields.daysOfWeek)].sort();
+  }
+};
+
+const getShifts = async (req, res) => {
+  try {
+    const shifts = await Shift.find().sort({ name: 1 });
+    logger.info("Shifts retrieved successfully", { requesterId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      message: "Shifts retrieved successfully",
+      data: { shifts },
+    });
+  } catch (error) {
+    logger.error("Error in getShifts", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const createShift = [
+  shiftFields(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in createShift", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      if (await Shift.exists({ name: req.body.name })) {
+        return res.status(400).json({
+          success: false,
+          message: "A shift with this name already exists",
+        });
+      }
+
+      const shift = new Shift();
+      applyShiftFields(shift, req.body);
+      await shift.save();
+      logger.info("Shift created successfully", {
+        shiftId: shift._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Shift created successfully",
+        data: { shift },
+      });
+    } catch (error) {
+      logger.error("Error in createShift", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const updateShift = [
+  validateShiftId,
+  shiftFields(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in updateShift", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const shift = await Shift.findById(req.params.shiftId);
+      if (!shift) {
+        logger.warn("Shift not found in updateShift", {
+          shiftId: req.params.shiftId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Shift not found",
+        });
+      }
+
+      applyShiftFields(shift, req.body);
+      await shift.save();
+      logger.info("Shift updated successfully", {
+        shiftId: shift._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Shift updated successfully",
+        data: { shift },
+      });
+    } catch (error) {
+      logger.error("Error in updateShift", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const deleteShift = [
+  validateShiftId,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in deleteShift", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { shiftId } = req.params;
+      const settings = await CompanySettings.getSettings();
+      const inUse =
+        String(settings.defaultShift) === shiftId ||
+        (await ShiftAssignment.exists({ shifts: shiftId }));
+      if (inUse) {
+        return res.status(409).json({
+          success: false,
+          message:
+            "Shift is still assigned; deactivate it or remove its assignments first",
+        });
+      }
+
+      const shift = await Shift.findByIdAndDelete(shiftId);
+      if (!shift) {
+        logger.warn("Shift not found in deleteShift", { shiftId });
+        return res.status(404).json({
+          success: false,
+          message: "Shift not found",
+        });
+      }
+
+      logger.info("Shift deleted successfully", {
+        shiftId,
+        requesterId: req.user.id,
+      });
+      res.status(200).json({
+        success: true,
+        message: "Shift deleted successfully",
+        data: {},
+      });
+    } catch (error) {
+      logger.error("Error in deleteShift", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getAssignments = [
+  query("employeeId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid employeeId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getAssignments", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const filter = {};
+      if (req.query.employeeId) {
+        filter.employee = req.query.employeeId;
+      }
+      const assignments = await ShiftAssignment.find(filter)
+        .populate("employee", "name email")
+        .populate("shifts", "name startTime endTime")
+        .sort({ startDate: -1 });
+
+      res.status(200).json({
+        success: true,
+        message: "Shift assignments retrieved successfully",
+        data: { assignments },
+      });
+    } catch (error) {
+      logger.error("Error in getAssignments", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const createAssignment = [
+  validateAssignment,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in createAssignment", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId, shifts, rotationDays, startDate, endDate } = req.body;
+
+      if (!(await Employee.exists({ _id: employeeId }))) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+      // Order matters for rotations, so duplicates are allowed here
+      const found = await Shift.countDocuments({
+        _id: { $in: [...new Set(shifts)] },
+      });
+      if (found !== new Set(shifts).size) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more shifts were not found",
+        });
+      }
+
+      const assignment = await ShiftAssignment.create({
+        employee: employeeId,
+        shifts,
+        rotationDays,
+        startDate,
+        endDate: endDate || undefined,
+        createdBy: req.user.id,
+      });
+      logger.info("Shift assignment created successfully", {
+        assignmentId: assignment._id,
+        employeeId,
+        requesterId: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Shift assignment created successfully",
+        data: { assignment },
+      });
+    } catch (error) {
+      logger.error("Error in createAssignment", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const deleteAssignment = [
+  param("assignmentId")
+    .isMongoId()
+    .withMessage("Valid assignmentId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in deleteAssignment", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const assignment = await ShiftAssignment.findByIdAndDelete(
+        req.params.assignmentId
+      );
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          message: "Shift assignment not found",
+        });
+      }
+
+      logger.info("Shift assignment deleted successfully", {
+        assignmentId: req.params.assignmentId,
+        requesterId: req.user.id,
+      });
+      res.status(200).json({
+        success: true,
+        message: "Shift assignment deleted successfully",
+        data: {},
+      });
+    } catch (error) {
+      logger.error("Error in deleteAssignment", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+// Day-by-day shifts of an employee between two dates. Shift times are local
+// to the work site.
+const getEmployeeSchedule = [
+  validateSchedule,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getEmployeeSchedule", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId } = req.params;
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        logger.warn("Unauthorized access to employee schedule", {
+          employeeId,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only view own schedule or requires admin role",
+        });
+      }
+
+      const startDate = new Date(req.query.startDate);
+      const endDate = new Date(req.query.endDate);
+      const dayCount =
+        Math.round((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+      if (dayCount > MAX_SCHEDULE_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Schedule range cannot exceed ${MAX_SCHEDULE_DAYS} days`,
+        });
+      }
+
+      const resolve = await createShiftResolver(employeeId);
+      const schedule = [];
+      for (let i = 0; i < dayCount; i++) {
+        const day = new Date(startDate.getTime() + i * 24 * 60 * 60 * 1000);
+        const shift = resolve(dateKey(day));
+        const scheduled = shift.daysOfWeek.includes(day.getUTCDay());
+        schedule.push({
+          date: dateKey(day),
+          scheduled,
+          shift: scheduled
+            ? {
+                _id: shift._id,
+                name: shift.name,
+                startTime: shift.startTime,
+                endTime: shift.endTime,
+                gracePeriodMinutes: shift.gracePeriodMinutes,
+                breakMinutes: shift.breakMinutes,
+              }
+            : null,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Schedule retrieved successfully",
+        data: { employeeId, schedule },
+      });
+    } catch (error) {
+      logger.error("Error in getEmployeeSchedule", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  getShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  getAssignments,
+  createAssignment,
+  deleteAssignment,
+  getEmployeeSchedule,
+};
@@ -0,0 +1,448 @@
+const WorkSite = require("../models/WorkSite");
+const Employee = require("../models/Employee");
+const { body, param, validationResult } = require("express-validator");
+const winston = require("winston");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+const isCoordinatePair = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every((number) => typeof number === "number" && isFinite(number)) &&
+  Math.abs(value[0]) <= 180 &&
+  Math.abs(value[1]) <= 90;
+
+const validateBoundary = (rings) => {
+  const ring = Array.isArray(rings) && rings[0];
+  if (!Array.isArray(ring) || ring.length < 4) {
+    throw new Error(
+      "boundary.coordinates must contain a ring of at least 4 points"
+    );
+  }
+  if (!ring.every(isCoordinatePair)) {
+    throw new Error("boundary points must be [longitude, latitude]");
+  }
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    throw new Error("boundary ring must be closed");
+  }
+  return true;
+};
+
+// Validation middleware. On creation the geometry matching geofenceType is
+// required; on update every field is optional and checked when present.
+const workSiteFields = (isUpdate) => {
+  const geometry = (name, geofenceType) =>
+    isUpdate
+      ? body(name).optional()
+      : body(name).if(body("geofenceType").equals(geofenceType));
+  return [
+    isUpdate
+      ? body("name").optional().notEmpty().withMessage("Name cannot be empty")
+      : body("name").notEmpty().withMessage("Name is required"),
+    body("address").optional().isString().trim(),
+    (isUpdate ? body("geofenceType").optional() : body("geofenceType"))
+      .isIn(["radius", "polygon"])
+      .withMessage("geofenceType must be one of: radius, polygon"),
+    geometry("center.coordinates", "radius")
+      .custom(isCoordinatePair)
+      .withMessage("center.coordinates must be [longitude, latitude]"),
+    geometry("radius", "radius")
+      .isFloat({ gt: 0 })
+      .toFloat()
+      .withMessage("radius must be a positive number of meters"),
+    geometry("boundary.coordinates", "polygon").custom(validateBoundary),
+    body("timezone")
+      .optional()
+      .custom((timeZone) => {
+        // Throws a RangeError for unknown IANA zones
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+      })
+      .withMessage("timezone must be a valid IANA time zone"),
+    body("faceMatchThreshold")
+      .optional({ values: "null" })
+      .isFloat({ min: 0.1, max: 1 })
+      .toFloat()
+      .withMessage("faceMatchThreshold must be between 0.1 and 1, or null"),
+    body("active")
+      .optional()
+      .isBoolean()
+      .toBoolean()
+      .withMessage("active must be a boolean"),
+  ];
+};
+
+const validateWorkSiteId = [
+  param("workSiteId").isMongoId().withMessage("Valid workSiteId is required"),
+];
+
+const validateAssignWorkSites = [
+  param("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  body("workSites").isArray().withMessage("workSites must be an array"),
+  body("workSites.*")
+    .isMongoId()
+    .withMessage("workSites must contain valid work site ids"),
+];
+
+const applyWorkSiteFields = (workSite, fields) => {
+  const { name, address, geofenceType, center, radius, boundary } = fields;
+  const { timezone, faceMatchThreshold, active } = fields;
+  if (name !== undefined) workSite.name = name;
+  if (address !== undefined) workSite.address = address;
+  if (timezone !== undefined) workSite.timezone = timezone;
+  if (faceMatchThreshold !== undefined) {
+    workSite.faceMatchThreshold = faceMatchThreshold ?? undefined;
+  }
+  if (active !== undefined) workSite.active = active;
+  if (geofenceType !== undefined) workSite.geofenceType = geofenceType;
+  if (workSite.geofenceType === "radius") {
+    if (center) {
+      workSite.center = { type: "Point", coordinates: center.coordinates };
+    }
+    if (radius !== undefined) workSite.radius = radius;
+    workSite.boundary = undefined;
+  } else if (boundary) {
+    workSite.boundary = { type: "Polygon", coordinates: boundary.coordinates };
+    workSite.radius = undefined;
+  }
+};
+
+const getWorkSites = async (req, res) => {
+  try {
+    const workSites = await WorkSite.find().sort({ name: 1 });
+    logger.info("Work sites retrieved successfully", {
+      requesterId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Work sites retrieved successfully",
+      data: { workSites },
+    });
+  } catch (error) {
+    logger.error("Error in getWorkSites", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message,
+    });
+  }
+};
+
+const createWorkSite = [
+  workSiteFields(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in createWorkSite", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      if (await WorkSite.exists({ name: req.body.name })) {
+        return res.status(400).json({
+          success: false,
+          message: "A work site with this name already exists",
+        });
+      }
+
+      const workSite = new WorkSite();
+      applyWorkSiteFields(workSite, req.body);
+      await workSite.save();
+      logger.info("Work site created successfully", {
+        workSiteId: workSite._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Work site created successfully",
+        data: { workSite },
+      });
+    } catch (error) {
+      // Created concurrently under the same name
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "A work site with this name already exists",
+        });
+      }
+      logger.error("Error in createWorkSite", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const updateWorkSite = [
+  validateWorkSiteId,
+  workSiteFields(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in updateWorkSite", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const workSite = await WorkSite.findById(req.params.workSiteId);
+      if (!workSite) {
+        logger.warn("Work site not found in updateWorkSite", {
+          workSiteId: req.params.workSiteId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Work site not found",
+        });
+      }
+
+      applyWorkSiteFields(workSite, req.body);
+      await workSite.save();
+      logger.info("Work site updated successfully", {
+        workSiteId: workSite._id,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Work site updated successfully",
+        data: { workSite },
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "A work site with this name already exists",
+        });
+      }
+      if (error.name === "ValidationError") {
+        // e.g. switching geofenceType without the matching geometry
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          error: error.message,
+        });
+      }
+      logger.error("Error in updateWorkSite", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const deleteWorkSite = [
+  validateWorkSiteId,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in deleteWorkSite", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const workSite = await WorkSite.findByIdAndDelete(req.params.workSiteId);
+      if (!workSite) {
+        logger.warn("Work site not found in deleteWorkSite", {
+          workSiteId: req.params.workSiteId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Work site not found",
+        });
+      }
+
+      await Employee.updateMany(
+        { workSites: workSite._id },
+        { $pull: { workSites: workSite._id } }
+      );
+      logger.info("Work site deleted successfully", {
+        workSiteId: req.params.workSiteId,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Work site deleted successfully",
+        data: {},
+      });
+    } catch (error) {
+      logger.error("Error in deleteWorkSite", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const getEmployeeWorkSites = [
+  param("employeeId").isMongoId().withMessage("Valid employeeId is required"),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in getEmployeeWorkSites", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { employeeId } = req.params;
+      if (req.user.id !== employeeId && req.user.role !== "admin") {
+        logger.warn("Unauthorized access to employee work sites", {
+          employeeId,
+          requesterId: req.user.id,
+          requesterRole: req.user.role,
+        });
+        return res.status(403).json({
+          success: false,
+          message:
+            "Access denied: Can only view own work sites or requires admin role",
+        });
+      }
+
+      const employee = await Employee.findById(employeeId)
+        .select("workSites")
+        .populate("workSites");
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Employee work sites retrieved successfully",
+        data: { workSites: employee.workSites },
+      });
+    } catch (error) {
+      logger.error("Error in getEmployeeWorkSites", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+const assignWorkSites = [
+  validateAssignWorkSites,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        logger.warn("Validation errors in assignWorkSites", {
+          errors: errors.array(),
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const workSiteIds = [...new Set(req.body.workSites)];
+      const found = await WorkSite.countDocuments({
+        _id: { $in: workSiteIds },
+      });
+      if (found !== workSiteIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more work sites were not found",
+        });
+      }
+
+      const employee = await Employee.findById(req.params.employeeId);
+      if (!employee) {
+        logger.warn("Employee not found in assignWorkSites", {
+          employeeId: req.params.employeeId,
+        });
+        return res.status(404).json({
+          success: false,
+          message: "Employee not found",
+        });
+      }
+
+      employee.workSites = workSiteIds;
+      await employee.save();
+      logger.info("Work sites assigned successfully", {
+        employeeId: employee._id,
+        workSites: workSiteIds,
+        requesterId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Work sites assigned successfully",
+        data: { employeeId: employee._id, workSites: employee.workSites },
+      });
+    } catch (error) {
+      logger.error("Error in assignWorkSites", { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+        error: error.message,
+      });
+    }
+  },
+];
+
+module.exports = {
+  getWorkSites,
+  createWorkSite,
+  updateWorkSite,
+  deleteWorkSite,
+  getEmployeeWorkSites,
+  assignWorkSites,
+};
@@ -9,6 +9,11 @@ const fs = require("fs");
 
 dotenv.config({ path: "./.env" });
 
+const { scheduleMissingExitJob } = require("./jobs/missingExits");
+const { seedLegacyWorkSite } = require("./utils/workSites");
+const { backfillOpenFlags } = require("./utils/openAttendance");
+const { validateKeys } = require("./utils/crypto");
+
 console.log("Environment Variables:", {
   PORT: process.env.PORT,
   MONGO_URI: process.env.MONGO_URI,
@@ -17,8 +22,26 @@ console.log("Environment Variables:", {
   CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET
     ? "[REDACTED]"
     : undefined,
+  // "id:base64key" pairs separated by commas, each key 32 random bytes,
+  // e.g. "k1:$(openssl rand -base64 32)"; encrypts face descriptors and TOTP
+  // secrets (see utils/crypto.js)
+  BIOMETRIC_ENCRYPTION_KEYS: process.env.BIOMETRIC_ENCRYPTION_KEYS
+    ? "[REDACTED]"
+    : undefined,
+  // Key used for new values; defaults to the first one listed
+  BIOMETRIC_ENCRYPTION_KEY_ID: process.env.BIOMETRIC_ENCRYPTION_KEY_ID,
 });
 
+// Without valid keys every face enrollment, facial check-in and two-factor
+// setup would fail, so refuse to start
+try {
+  const keyIds = validateKeys();
+  console.log("Biometric encryption keys loaded:", keyIds.join(", "));
+} catch (error) {
+  console.error("Biometric encryption configuration error:", error.message);
+  process.exit(1);
+}
+
 try {
   cloudinary.config({
     cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -33,6 +56,14 @@ try {
 const app = express();
 const PORT = process.env.PORT || 10000;
 
+// Behind the hosting provider's proxy, so req.ip is the client's address
+// (used to throttle logins per IP)
+app.set(
+  "trust proxy",
+  parseInt(process.env.TRUST_PROXY_HOPS) ||
+    (process.env.NODE_ENV === "production" ? 1 : false)
+);
+
 app.use(
   cors({
     origin:
@@ -51,6 +82,7 @@ app.use(
       "Accept",
       "Authorization",
       "Cookie",
+      "Idempotency-Key",
     ],
     exposedHeaders: ["Set-Cookie"],
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
@@ -66,7 +98,7 @@ app.use((req, res, next) => {
   res.header("Access-Control-Allow-Methods", "GET,PUT,POST,DELETE,OPTIONS");
   res.header(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept, Authorization, Cookie"
+    "Origin, X-Requested-With, Content-Type, Accept, Authorization, Cookie, Idempotency-Key"
   );
   next();
 });
@@ -88,13 +120,40 @@ app.use("/api/employees", require("./routes/employees"));
 app.use("/api/attendance", require("./routes/attendance"));
 app.use("/api/documents", require("./routes/documents"));
 app.use("/api/leaves", require("./routes/leaves"));
+app.use("/api/calendar", require("./routes/calendar"));
+app.use("/api/settings", require("./routes/settings"));
+app.use("/api/worksites", require("./routes/workSites"));
+app.use("/api/shifts", require("./routes/shifts"));
+app.use("/api/overtime", require("./routes/overtime"));
+app.use("/api/kiosks", require("./routes/kiosks"));
 app.get("/models/test", (req, res) => {
   res.send("Models folder is accessible");
 });
 
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    backfillOpenFlags()
+      .then((result) => {
+        if (result.closed || result.opened || result.flagged) {
+          console.log("Backfilled open attendance flags:", result);
+        }
+      })
+      .catch((error) =>
+        console.error("Failed to backfill open attendance:", error.message)
+      )
+      .finally(scheduleMissingExitJob);
+    seedLegacyWorkSite()
+      .then((site) => {
+        if (site) {
+          console.log("Created work site from ALLOWED_* settings:", site.name);
+        }
+      })
+      .catch((error) =>
+        console.error("Failed to create the default work site:", error.message)
+      );
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 app.get("/", (req, res) => {
@@ -0,0 +1,69 @@
+const winston = require("winston");
+const { flagMissingExits } = require("../utils/missingExits");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hour of the day (server time) at which the nightly run happens; defaults to
+// 1 when unset, while 0 (midnight) is a valid choice
+const parseRunHour = (value) => {
+  const hour = parseInt(value, 10);
+  if (Number.isNaN(hour)) {
+    return 1;
+  }
+  if (hour < 0 || hour > 23) {
+    throw new Error(
+      `MISSING_EXIT_JOB_HOUR must be between 0 and 23, got "${value}"`
+    );
+  }
+  return hour;
+};
+
+const RUN_HOUR = parseRunHour(process.env.MISSING_EXIT_JOB_HOUR);
+
+const runMissingExitJob = async () => {
+  try {
+    const flagged = await flagMissingExits();
+    logger.info("Missing exit job completed", { flagged });
+  } catch (error) {
+    logger.error("Error in missing exit job", { error: error.message });
+  }
+};
+
+// Run the job every night at RUN_HOUR
+const scheduleMissingExitJob = () => {
+  const now = new Date();
+  const nextRun = new Date(now);
+  nextRun.setHours(RUN_HOUR, 0, 0, 0);
+  if (nextRun <= now) {
+    nextRun.setDate(nextRun.getDate() + 1);
+  }
+
+  setTimeout(() => {
+    runMissingExitJob();
+    setInterval(runMissingExitJob, DAY_MS);
+  }, nextRun - now);
+  logger.info("Missing exit job scheduled", { nextRun });
+};
+
+module.exports = { runMissingExitJob, scheduleMissingExitJob };
@@ -1,5 +1,8 @@
 const jwt = require("jsonwebtoken");
 const winston = require("winston");
+const Employee = require("../models/Employee");
+const Session = require("../models/Session");
+const { isSessionActive } = require("../utils/sessions");
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -70,6 +73,34 @@ const authMiddleware = (roles = []) => {
           message: "Invalid token payload",
         });
       }
+
+      // The token is only as valid as its session, and only while the
+      // account still exists with the role it was issued for
+      const [session, employee] = await Promise.all([
+        decoded.sid ? Session.findById(decoded.sid) : null,
+        Employee.findById(decoded.id).select("role"),
+      ]);
+      let rejection = null;
+      if (!isSessionActive(session) || !session.employee.equals(decoded.id)) {
+        rejection = "Session expired or revoked";
+      } else if (!employee) {
+        rejection = "User no longer exists";
+      } else if (employee.role !== decoded.role) {
+        rejection = "Role changed, please log in again";
+      }
+      if (rejection) {
+        logger.warn("Token rejected", {
+          url: req.originalUrl,
+          method: req.method,
+          userId: decoded.id,
+          sessionId: decoded.sid,
+          reason: rejection,
+        });
+        return res.status(401).json({
+          success: false,
+          message: rejection,
+        });
+      }
       req.user = decoded;
 
       // ✅ Bypass role check for /me endpoint
@@ -0,0 +1,74 @@
+const winston = require("winston");
+const KioskDevice = require("../models/KioskDevice");
+const { hashDeviceToken } = require("../utils/kioskTokens");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+// Add console logging in development
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Authenticate a kiosk device from an "Authorization: Kiosk <token>" header.
+// The device is available as req.kiosk, with its work site populated.
+const kioskAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith("Kiosk ")) {
+      logger.warn("No kiosk token provided", {
+        url: req.originalUrl,
+        method: req.method,
+      });
+      return res.status(401).json({
+        success: false,
+        message: "No kiosk token provided",
+      });
+    }
+
+    const device = await KioskDevice.findOneAndUpdate(
+      { tokenHash: hashDeviceToken(authHeader.substring(6)), active: true },
+      { lastSeenAt: new Date() },
+      { new: true }
+    ).populate("workSite");
+    if (!device || !device.workSite || !device.workSite.active) {
+      logger.warn("Invalid or inactive kiosk token", {
+        url: req.originalUrl,
+        method: req.method,
+      });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid kiosk token",
+      });
+    }
+
+    req.kiosk = device;
+    next();
+  } catch (error) {
+    logger.error("Kiosk authentication error", {
+      url: req.originalUrl,
+      method: req.method,
+      error: error.message,
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Authentication failed",
+    });
+  }
+};
+
+module.exports = kioskAuth;
@@ -0,0 +1,54 @@
+const winston = require("winston");
+const authMiddleware = require("./auth");
+const { verifyPreAuthToken } = require("../utils/twoFactor");
+
+// Configure Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+// Add console logging in development
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+const requireSession = authMiddleware();
+
+// Authenticate two-factor enrollment requests. Signed-in employees use their
+// session; admins required to enroll before signing in send the pre-auth
+// token from the login as "preAuthToken", and get req.user.preAuth set.
+const twoFactorSetupAuth = (req, res, next) => {
+  const preAuthToken = req.body && req.body.preAuthToken;
+  if (!preAuthToken) {
+    return requireSession(req, res, next);
+  }
+
+  const employeeId = verifyPreAuthToken(preAuthToken, "two_factor_setup");
+  if (!employeeId) {
+    logger.warn("Invalid two-factor setup token", {
+      url: req.originalUrl,
+      method: req.method,
+    });
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired login, please log in again",
+    });
+  }
+
+  req.user = { id: employeeId, preAuth: true };
+  next();
+};
+
+module.exports = twoFactorSetupAuth;
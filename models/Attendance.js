@@ -1,5 +1,38 @@
 const mongoose = require("mongoose");
 
+const timesSchema = new mongoose.Schema(
+  {
+    entryTime: { type: Date },
+    exitTime: { type: Date },
+  },
+  { _id: false }
+);
+
+const revisionSchema = new mongoose.Schema(
+  {
+    previous: {
+      type: timesSchema,
+      required: true,
+    },
+    entryTime: { type: Date },
+    exitTime: { type: Date },
+    reason: { type: String },
+    correction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AttendanceCorrection",
+    },
+    revisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    revisedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const attendanceSchema = new mongoose.Schema(
   {
     employee: {
@@ -35,6 +68,60 @@ const attendanceSchema = new mongoose.Schema(
         type: [Number],
       },
     },
+    missingExit: {
+      type: Boolean, // Still open after its shift ended; needs a correction
+      default: false,
+    },
+    missingExitFlaggedAt: {
+      type: Date,
+    },
+    breaks: [
+      {
+        start: {
+          type: Date,
+          required: true,
+        },
+        end: {
+          type: Date, // Absent while the break is in progress
+        },
+      },
+    ],
+    locationAccuracy: {
+      type: Number, // Device-reported accuracy radius in meters
+    },
+    locationVerdict: {
+      type: String,
+      enum: [
+        "verified",
+        "probable",
+        "uncertain",
+        "low_accuracy",
+        "unverified",
+        "kiosk", // Recorded by a kiosk device installed at the work site
+      ],
+    },
+    workSite: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WorkSite",
+    },
+    kioskDevice: {
+      type: mongoose.Schema.Types.ObjectId, // Shared device that recorded it
+      ref: "KioskDevice",
+    },
+    original: {
+      type: timesSchema, // Times as first recorded, kept once revised
+      default: undefined,
+    },
+    revisions: {
+      type: [revisionSchema],
+      default: [],
+    },
+    idempotencyKey: {
+      type: String, // Client-supplied Idempotency-Key of the check-in request
+    },
+    isOpen: {
+      type: Boolean, // Maintained on save; at most one open record per employee
+    },
     method: {
       type: String,
       enum: ["qr", "facial", "manual"],
@@ -44,4 +131,21 @@ const attendanceSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+attendanceSchema.pre("save", function (next) {
+  this.isOpen = !this.exitTime && !this.missingExit;
+  next();
+});
+
+attendanceSchema.index(
+  { employee: 1 },
+  { unique: true, partialFilterExpression: { isOpen: true } }
+);
+attendanceSchema.index(
+  { employee: 1, idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $exists: true } },
+  }
+);
+
 module.exports = mongoose.model("Attendance", attendanceSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// An employee's proposed fix to the entry and/or exit time of an attendance
+// record, applied once an admin approves it
+const attendanceCorrectionSchema = new mongoose.Schema(
+  {
+    attendance: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attendance",
+      required: true,
+    },
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    // Proposed times; at least one is set
+    entryTime: {
+      type: Date,
+    },
+    exitTime: {
+      type: Date,
+    },
+    previous: {
+      // Record times when the request was made, to detect later changes
+      entryTime: { type: Date },
+      exitTime: { type: Date },
+    },
+    reason: {
+      type: String,
+      required: [true, "Reason is required"],
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    comment: {
+      type: String,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model(
+  "AttendanceCorrection",
+  attendanceCorrectionSchema
+);
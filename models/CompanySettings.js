@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+// Single document holding company-wide configuration
+const SETTINGS_KEY = "company";
+
+const companySettingsSchema = new mongoose.Schema(
+  {
+    // Unique, so concurrent first reads cannot create two documents
+    key: {
+      type: String,
+      default: SETTINGS_KEY,
+      unique: true,
+    },
+    workingDays: {
+      type: [Number], // Days of the week, 0 = Sunday ... 6 = Saturday
+      default: [1, 2, 3, 4, 5],
+    },
+    maxAbsentRatioPerPosition: {
+      type: Number, // Share of a position that may be on leave the same day
+      min: 0,
+      max: 1,
+      default: 0.5,
+    },
+    leaveApprovalChain: {
+      type: [String], // Steps a leave request goes through, in order
+      enum: ["manager", "hr"],
+      default: ["manager", "hr"],
+    },
+    defaultShift: {
+      type: mongoose.Schema.Types.ObjectId, // Applies when no shift is assigned
+      ref: "Shift",
+      default: null,
+    },
+    overtime: {
+      weekdayMultiplier: { type: Number, min: 1, default: 1.25 },
+      weekendMultiplier: { type: Number, min: 1, default: 1.5 },
+      holidayMultiplier: { type: Number, min: 1, default: 2 },
+      // Daily excess below this is only counted towards weekly overtime
+      minimumDailyMinutes: { type: Number, min: 0, default: 30 },
+      // Used to derive an hourly rate from a monthly salary on pay slips
+      monthlyReferenceHours: { type: Number, min: 1, default: 173.33 },
+    },
+    faceRecognition: {
+      // "closest": distance to the nearest enrolled descriptor;
+      // "mean": distance to the average of the enrolled descriptors
+      matchStrategy: {
+        type: String,
+        enum: ["closest", "mean"],
+        default: "closest",
+      },
+      // Largest descriptor distance accepted as a match; work sites may
+      // override it
+      matchThreshold: { type: Number, min: 0.1, max: 1, default: 0.6 },
+      maxDescriptors: { type: Number, min: 1, max: 10, default: 5 },
+    },
+    // Applies whenever a password is set; existing passwords are kept
+    passwordPolicy: {
+      minLength: { type: Number, min: 6, max: 128, default: 8 },
+      requireUppercase: { type: Boolean, default: false },
+      requireLowercase: { type: Boolean, default: false },
+      requireNumber: { type: Boolean, default: true },
+      requireSymbol: { type: Boolean, default: false },
+    },
+    // Set once the first admin exists; see utils/setup.js
+    setupCompletedAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactor: {
+      // Admins without two-factor authentication must enroll at next login
+      requiredForAdmins: { type: Boolean, default: false },
+    },
+  },
+  { timestamps: true }
+);
+
+companySettingsSchema.statics.getSettings = async function () {
+  const settings = await this.findOne({ key: SETTINGS_KEY });
+  if (settings) {
+    return settings;
+  }
+  try {
+    // Also adopts a document created before the key existed
+    return await this.findOneAndUpdate(
+      { $or: [{ key: SETTINGS_KEY }, { key: { $exists: false } }] },
+      { $set: { key: SETTINGS_KEY } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Created by a concurrent call
+    if (error.code === 11000) {
+      return this.findOne({ key: SETTINGS_KEY });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model("CompanySettings", companySettingsSchema);
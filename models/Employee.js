@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { descriptorField, secretField } = require("../utils/crypto");
 
 const employeeSchema = new mongoose.Schema(
   {
@@ -32,15 +33,59 @@ const employeeSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    workSites: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "WorkSite",
+      },
+    ],
     internshipDetails: {
       startDate: { type: Date },
       endDate: { type: Date },
       supervisor: { type: String },
       objectives: { type: String },
     },
+    // Biometric fields are encrypted (see utils/crypto.js) and only loaded
+    // when selected explicitly
     faceDescriptor: {
-      type: [Number], // Array for face-api.js descriptor (128 numbers)
-      default: undefined,
+      type: mongoose.Schema.Types.Mixed, // Legacy single descriptor
+      ...descriptorField,
+      select: false,
+    },
+    // Face-api.js descriptors (128 numbers each), e.g. with and without
+    // glasses or under different lighting
+    faceDescriptors: {
+      type: [
+        {
+          descriptor: {
+            type: mongoose.Schema.Types.Mixed,
+            ...descriptorField,
+            required: true,
+          },
+          enrolledAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      // Base32 TOTP key, encrypted like the biometric fields
+      secret: { type: String, ...secretField, select: false },
+      // Key shown at enrollment, kept until a first code confirms it
+      pendingSecret: { type: String, ...secretField, select: false },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], default: undefined, select: false },
+      // Time step of the last accepted code, which cannot be used again
+      lastUsedStep: { type: Number, select: false },
     },
   },
   { timestamps: true }
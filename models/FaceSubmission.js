@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { descriptorField } = require("../utils/crypto");
+
+// Face descriptor submitted for a facial check-in, kept for a while to spot
+// the same capture being submitted again. Removed by MongoDB's TTL monitor.
+const faceSubmissionSchema = new mongoose.Schema({
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Employee",
+    required: true,
+  },
+  descriptor: {
+    type: mongoose.Schema.Types.Mixed, // Encrypted, see utils/crypto.js
+    ...descriptorField,
+    required: true,
+  },
+  kioskDevice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "KioskDevice",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+faceSubmissionSchema.index({ employee: 1, createdAt: -1 });
+faceSubmissionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("FaceSubmission", faceSubmissionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+const { descriptorField } = require("../utils/crypto");
+
+// An employee's new face descriptor, applied to their enrollment once an
+// admin approves it
+const faceUpdateRequestSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    faceDescriptor: {
+      type: mongoose.Schema.Types.Mixed, // Encrypted face-api.js descriptor
+      ...descriptorField,
+      required: true,
+      select: false,
+    },
+    replace: {
+      type: Boolean, // Replace the enrollment instead of adding to it
+      default: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    comment: {
+      type: String,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("FaceUpdateRequest", faceUpdateRequestSchema);
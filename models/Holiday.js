@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const holidaySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    recurring: {
+      type: Boolean, // Repeats on the same day every year
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+holidaySchema.index({ date: 1 });
+
+module.exports = mongoose.model("Holiday", holidaySchema);
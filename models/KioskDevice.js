@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Shared device (e.g. a tablet at the entrance) recording check-ins for any
+// employee at its work site. Only a hash of its credential is stored.
+const kioskDeviceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+    workSite: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WorkSite",
+      required: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the device token
+      required: true,
+      unique: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastSeenAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+  },
+  { timestamps: true }
+);
+
+kioskDeviceSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("KioskDevice", kioskDeviceSchema);
@@ -1,5 +1,98 @@
 const mongoose = require("mongoose");
 
+const approvalStepSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ["manager", "hr"],
+      required: true,
+    },
+    approver: {
+      type: mongoose.Schema.Types.ObjectId, // Assigned manager for manager steps
+      ref: "Employee",
+    },
+    decision: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    comment: {
+      type: String,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const historyEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: [
+        "submitted",
+        "approved",
+        "rejected",
+        "cancelled",
+        "withdrawn",
+        "cancellation_requested",
+        "modification_requested",
+        "modified",
+      ],
+      required: true,
+    },
+    change: {
+      type: String, // Set when the entry concerns a change request
+      enum: ["cancellation", "modification"],
+    },
+    step: {
+      type: String,
+      enum: ["manager", "hr"],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    comment: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const changeRequestSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["cancellation", "modification"],
+      required: true,
+    },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    halfDay: { type: String, enum: ["morning", "afternoon"] },
+    days: { type: Number },
+    reason: { type: String },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const leaveSchema = new mongoose.Schema(
   {
     employee: {
@@ -15,15 +108,43 @@ const leaveSchema = new mongoose.Schema(
       type: Date,
       required: [true, "End date is required"],
     },
+    type: {
+      type: String,
+      enum: ["annual", "sick", "unpaid", "maternity", "internship_absence"],
+      default: "annual",
+    },
+    days: {
+      type: Number, // Duration charged against the leave balance
+    },
+    halfDay: {
+      type: String, // Single-day requests only
+      enum: ["morning", "afternoon"],
+    },
     reason: {
       type: String,
       required: [true, "Reason is required"],
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
+      enum: ["pending", "approved", "rejected", "cancelled", "withdrawn"],
       default: "pending",
     },
+    approvalSteps: {
+      type: [approvalStepSchema],
+      default: [],
+    },
+    currentStep: {
+      type: Number,
+      default: 0,
+    },
+    changeRequest: {
+      type: changeRequestSchema, // Pending cancellation or modification of an approved leave
+      default: undefined,
+    },
+    history: {
+      type: [historyEntrySchema],
+      default: [],
+    },
   },
   { timestamps: true }
 );
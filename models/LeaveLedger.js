@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const leaveLedgerSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    leaveType: {
+      type: String,
+      enum: ["annual", "sick", "unpaid", "maternity", "internship_absence"],
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["accrual", "deduction", "refund", "adjustment"],
+      required: true,
+    },
+    days: {
+      type: Number, // Signed: accruals and refunds are positive, deductions negative
+      required: true,
+    },
+    leave: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Leave",
+    },
+    period: {
+      type: String, // "YYYY-MM" of the month an accrual was earned
+    },
+    note: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+  },
+  { timestamps: true }
+);
+
+leaveLedgerSchema.index({ employee: 1, leaveType: 1, createdAt: -1 });
+// One accrual entry per employee, leave type and month
+leaveLedgerSchema.index(
+  { employee: 1, leaveType: 1, period: 1 },
+  { unique: true, partialFilterExpression: { kind: "accrual" } }
+);
+
+module.exports = mongoose.model("LeaveLedger", leaveLedgerSchema);
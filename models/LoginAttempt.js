@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Failed logins for an account (by email, known or not) or a client IP.
+// Records are removed by MongoDB's TTL monitor once the failures are old
+// enough to be forgotten.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // "account:<email>" or "ip:<address>"
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number, // Since the last successful login or lockout
+      default: 0,
+    },
+    lockouts: {
+      type: Number, // Each lockout lasts longer than the previous one
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date, // Progressive delay after repeated failures
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Server-side record of a one-time value handed to a client (QR tokens,
+// challenges). Expired nonces are removed by MongoDB's TTL monitor.
+const nonceSchema = new mongoose.Schema(
+  {
+    value: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    purpose: {
+      type: String, // e.g. "attendance_qr", "kiosk_qr", "face_challenge"
+      required: true,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId, // Employee or kiosk it was issued to
+    },
+    singleUse: {
+      type: Boolean, // When false, each employee may consume it once
+      default: true,
+    },
+    consumedBy: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Employee" }],
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+nonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Nonce", nonceSchema);
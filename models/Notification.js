@@ -19,6 +19,23 @@ const notificationSchema = new mongoose.Schema({
       "leave_request",
       "leave_approved",
       "leave_rejected",
+      "leave_cancelled",
+      "leave_withdrawn",
+      "leave_cancellation_requested",
+      "leave_modification_requested",
+      "leave_change_approved",
+      "leave_change_rejected",
+      "overtime_approved",
+      "overtime_rejected",
+      "missing_exit",
+      "attendance_correction_requested",
+      "attendance_correction_approved",
+      "attendance_correction_rejected",
+      "face_update_request",
+      "face_update_approved",
+      "face_update_rejected",
+      "suspicious_face_attempt",
+      "account_locked",
     ],
     required: true,
   },
@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A block of overtime worked on a day, or accumulated over a week, awaiting
+// an admin decision. Only approved blocks count in reports and pay slips.
+const overtimeSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: ["day", "week"],
+      required: true,
+    },
+    date: {
+      type: Date, // The day, or the Monday starting the week
+      required: true,
+    },
+    dayType: {
+      type: String,
+      enum: ["weekday", "weekend", "holiday"],
+      required: true,
+    },
+    minutes: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+    multiplier: {
+      type: Number, // Pay multiplier in force when the block was computed
+      min: 1,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    comment: {
+      type: String,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+    decidedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+overtimeSchema.index({ employee: 1, period: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("Overtime", overtimeSchema);
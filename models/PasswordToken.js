@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One-time link letting an employee set a password: an invitation for new
+// hires or a reset after a forgotten password. Only a hash of the token is
+// stored; expired tokens are removed by MongoDB's TTL monitor.
+const passwordTokenSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    tokenHash: {
+      type: String, // SHA-256 of the token sent by email
+      required: true,
+      unique: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["invitation", "reset"],
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+passwordTokenSchema.index({ employee: 1, purpose: 1 });
+passwordTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("PasswordToken", passwordTokenSchema);
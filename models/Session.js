@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// A signed-in device. Access tokens carry the session id, so revoking the
+// session invalidates them; the refresh token, stored hashed, is replaced on
+// every use. Expired sessions are removed by MongoDB's TTL monitor.
+const sessionSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String, // SHA-256 of the current refresh token
+      required: true,
+      unique: true,
+    },
+    previousRefreshTokenHash: {
+      type: String, // Replaced token; presenting it again revokes the session
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ employee: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.previousRefreshTokenHash;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model("Session", sessionSchema);
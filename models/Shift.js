@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const timeOfDay = {
+  type: String,
+  match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Time must be formatted as HH:mm"],
+  required: true,
+};
+
+const shiftSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      trim: true,
+    },
+    startTime: timeOfDay, // Local time at the work site, "HH:mm"
+    endTime: timeOfDay, // Earlier than startTime for overnight shifts
+    gracePeriodMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    breakMinutes: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    daysOfWeek: {
+      type: [Number], // 0 = Sunday ... 6 = Saturday
+      default: [1, 2, 3, 4, 5],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Shift", shiftSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Assigns one shift, or a rotation of shifts, to an employee over a date
+// range. A single-day range overrides broader assignments for that date.
+const shiftAssignmentSchema = new mongoose.Schema(
+  {
+    employee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+      required: true,
+    },
+    shifts: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Shift" }],
+      validate: [
+        (shifts) => shifts.length > 0,
+        "At least one shift is required",
+      ],
+    },
+    rotationDays: {
+      type: Number, // Days each shift lasts before rotating to the next one
+      min: 1,
+      default: 7,
+    },
+    startDate: {
+      type: Date, // First day, also the anchor of the rotation
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date, // Open-ended when absent
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Employee",
+    },
+  },
+  { timestamps: true }
+);
+
+shiftAssignmentSchema.index({ employee: 1, startDate: 1 });
+
+module.exports = mongoose.model("ShiftAssignment", shiftAssignmentSchema);
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+const workSiteSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      unique: true,
+      trim: true,
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    geofenceType: {
+      type: String,
+      enum: ["radius", "polygon"],
+      required: true,
+    },
+    // Center of the site; required for radius geofences
+    center: {
+      type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+      },
+    },
+    radius: {
+      type: Number, // Meters, radius geofences only
+      min: 1,
+    },
+    boundary: {
+      type: {
+        type: String,
+        enum: ["Polygon"],
+      },
+      coordinates: {
+        type: [[[Number]]], // GeoJSON polygon rings of [longitude, latitude]
+        default: undefined,
+      },
+    },
+    timezone: {
+      type: String,
+      default: "Africa/Tunis",
+    },
+    faceMatchThreshold: {
+      type: Number, // Overrides the company face match threshold at this site
+      min: 0.1,
+      max: 1,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+workSiteSchema.pre("validate", function (next) {
+  if (
+    this.geofenceType === "radius" &&
+    (this.center?.coordinates?.length !== 2 || !this.radius)
+  ) {
+    this.invalidate("radius", "Radius geofences need a center and a radius");
+  }
+  if (
+    this.geofenceType === "polygon" &&
+    !this.boundary?.coordinates?.[0]?.length
+  ) {
+    this.invalidate("boundary", "Polygon geofences need a boundary");
+  }
+  next();
+});
+
+module.exports = mongoose.model("WorkSite", workSiteSchema);
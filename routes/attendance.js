@@ -4,16 +4,30 @@ const {
   recordAttendance,
   getAttendance,
   generateQrCode,
+  getKioskQrCode,
   scanQrCode,
   facialAttendance,
+  getFaceChallenge,
+  identifyFaceTemplate,
+  kioskFacialAttendance,
+  kioskScanQr,
   recordExit,
+  startBreak,
+  endBreak,
   getPresenceReport,
   getAllPresenceReports,
+  getDuplicateAttendance,
   getDailyStats,
   getTotalAttendanceCount,
   validateExitAttendance,
 } = require("../controllers/attendanceController");
+const {
+  createCorrection,
+  getCorrections,
+  decideCorrection,
+} = require("../controllers/correctionController");
 const authMiddleware = require("../middleware/auth");
+const kioskAuth = require("../middleware/kioskAuth");
 const Notification = require("../models/Notification");
 
 router.post(
@@ -31,6 +45,11 @@ router.get(
   authMiddleware(["employee", "stagiaire", "admin"]),
   generateQrCode
 );
+router.get("/kiosk/qr/:workSiteId", authMiddleware(["admin"]), getKioskQrCode);
+router.get("/kiosk/challenge", kioskAuth, getFaceChallenge);
+router.post("/kiosk/identify", kioskAuth, identifyFaceTemplate);
+router.post("/kiosk/facial", kioskAuth, kioskFacialAttendance);
+router.post("/kiosk/scan-qr", kioskAuth, kioskScanQr);
 router.post(
   "/scan-qr",
   authMiddleware(["employee", "stagiaire", "admin"]),
@@ -41,14 +60,50 @@ router.post(
   authMiddleware(["employee", "stagiaire", "admin"]),
   facialAttendance
 );
+router.get(
+  "/facial/challenge",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getFaceChallenge
+);
+router.post(
+  "/facial/identify",
+  authMiddleware(["admin"]),
+  identifyFaceTemplate
+);
 router.post(
   "/exit",
   authMiddleware(["employee", "stagiaire", "admin"]),
   validateExitAttendance,
   recordExit
 );
+router.post(
+  "/break/start",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  startBreak
+);
+router.post(
+  "/break/end",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  endBreak
+);
+router.post(
+  "/corrections",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  createCorrection
+);
+router.get(
+  "/corrections",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getCorrections
+);
+router.patch(
+  "/corrections/:correctionId",
+  authMiddleware(["admin"]),
+  decideCorrection
+);
 router.get("/report/:employeeId", authMiddleware(["admin"]), getPresenceReport);
 router.get("/reports", authMiddleware(["admin"]), getAllPresenceReports);
+router.get("/duplicates", authMiddleware(["admin"]), getDuplicateAttendance);
 router.get("/daily-stats", authMiddleware(["admin"]), getDailyStats);
 router.get("/total-count", authMiddleware(["admin"]), getTotalAttendanceCount);
 router.get(
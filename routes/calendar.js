@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getHolidays,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  getWorkingWeek,
+  updateWorkingWeek,
+} = require("../controllers/calendarController");
+const authMiddleware = require("../middleware/auth");
+
+router.get(
+  "/holidays",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getHolidays
+);
+router.post("/holidays", authMiddleware(["admin"]), createHoliday);
+router.patch("/holidays/:holidayId", authMiddleware(["admin"]), updateHoliday);
+router.delete("/holidays/:holidayId", authMiddleware(["admin"]), deleteHoliday);
+router.get(
+  "/working-week",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getWorkingWeek
+);
+router.put("/working-week", authMiddleware(["admin"]), updateWorkingWeek);
+
+module.exports = router;
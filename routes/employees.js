@@ -2,7 +2,23 @@ const express = require("express");
 const router = express.Router();
 const {
   registerEmployee,
+  setupFirstAdmin,
   loginEmployee,
+  refreshSession,
+  logoutEmployee,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetTwoFactor,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  resendInvitation,
+  unlockEmployee,
   registerFace,
   updateFaceTemplate,
   updateQrCode,
@@ -12,6 +28,9 @@ const {
   deleteEmployee,
   getCurrentUser,
   requestFaceUpdate,
+  getFaceUpdateRequests,
+  decideFaceUpdateRequest,
+  deleteBiometricData,
 } = require("../controllers/employeeController");
 const {
   getUserNotifications,
@@ -19,11 +38,25 @@ const {
   markAllAsRead,
 } = require("../controllers/notificationController");
 const authMiddleware = require("../middleware/auth");
+const twoFactorSetupAuth = require("../middleware/twoFactorSetupAuth");
 
 // Employee routes
 router.post("/register", authMiddleware(["admin"]), registerEmployee);
-router.post("/register-admin", registerEmployee); // Allow initial admin registration without auth
+// One-time creation of the first admin, see utils/setup.js
+router.post("/setup", setupFirstAdmin);
 router.post("/login", loginEmployee);
+router.post("/refresh", refreshSession);
+router.post("/logout", logoutEmployee);
+router.post("/2fa/verify", verifyTwoFactorLogin);
+router.post("/2fa/setup", twoFactorSetupAuth, setupTwoFactor);
+router.post("/2fa/enable", twoFactorSetupAuth, enableTwoFactor);
+router.post("/2fa/disable", authMiddleware(), disableTwoFactor);
+router.post("/2fa/recovery-codes", authMiddleware(), regenerateRecoveryCodes);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.post("/change-password", authMiddleware(), changePassword);
+router.get("/sessions", authMiddleware(), getSessions);
+router.delete("/sessions/:sessionId", authMiddleware(), revokeSession);
 router.post(
   "/register-face",
   authMiddleware(["employee", "stagiaire"]),
@@ -34,11 +67,26 @@ router.post(
   authMiddleware(["employee", "stagiaire"]),
   requestFaceUpdate
 );
+router.get(
+  "/face-update-requests",
+  authMiddleware(["admin"]),
+  getFaceUpdateRequests
+);
+router.patch(
+  "/face-update-requests/:requestId",
+  authMiddleware(["admin"]),
+  decideFaceUpdateRequest
+);
 router.patch(
   "/face-template/:id",
   authMiddleware(["employee", "stagiaire", "admin"]),
   updateFaceTemplate
 );
+router.delete(
+  "/:id/biometrics",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  deleteBiometricData
+);
 router.patch(
   "/:id/qr-code",
   authMiddleware(["employee", "stagiaire", "admin"]),
@@ -55,6 +103,9 @@ router.get(
   getEmployeeById
 );
 router.patch("/:id", authMiddleware(["admin"]), updateEmployee);
+router.post("/:id/invitation", authMiddleware(["admin"]), resendInvitation);
+router.post("/:id/unlock", authMiddleware(["admin"]), unlockEmployee);
+router.delete("/:id/2fa", authMiddleware(["admin"]), resetTwoFactor);
 router.delete("/:id", authMiddleware(["admin"]), deleteEmployee);
 
 // Notification routes
@@ -70,14 +121,4 @@ router.patch(
   markAllAsRead
 );
 
-router.post("/logout", (req, res) => {
-  res.clearCookie("token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-  });
-
-  res.status(200).json({ success: true, message: "Logged out successfully" });
-});
-
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getKioskDevices,
+  registerKioskDevice,
+  updateKioskDevice,
+  rotateKioskToken,
+  deleteKioskDevice,
+} = require("../controllers/kioskController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/", authMiddleware(["admin"]), getKioskDevices);
+router.post("/", authMiddleware(["admin"]), registerKioskDevice);
+router.patch("/:kioskId", authMiddleware(["admin"]), updateKioskDevice);
+router.post("/:kioskId/token", authMiddleware(["admin"]), rotateKioskToken);
+router.delete("/:kioskId", authMiddleware(["admin"]), deleteKioskDevice);
+
+module.exports = router;
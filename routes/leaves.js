@@ -5,6 +5,11 @@ const {
   approveLeave,
   getLeaves,
   getAllLeaves,
+  cancelLeave,
+  getLeaveBalance,
+  getPendingApprovals,
+  withdrawLeave,
+  modifyLeave,
 } = require("../controllers/leaveController");
 const authMiddleware = require("../middleware/auth");
 
@@ -13,12 +18,41 @@ router.post(
   authMiddleware(["employee", "stagiaire", "admin"]),
   requestLeave
 );
-router.post("/approve", authMiddleware(["admin"]), approveLeave);
+router.post(
+  "/approve",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  approveLeave
+);
+router.get(
+  "/approvals",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getPendingApprovals
+);
 router.get(
   "/employee/:employeeId",
   authMiddleware(["employee", "stagiaire", "admin"]),
   getLeaves
 );
+router.post(
+  "/cancel",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  cancelLeave
+);
+router.post(
+  "/withdraw",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  withdrawLeave
+);
+router.post(
+  "/modify",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  modifyLeave
+);
+router.get(
+  "/balance/:employeeId",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getLeaveBalance
+);
 router.get("/", authMiddleware(["admin"]), getAllLeaves);
 
 module.exports = router;
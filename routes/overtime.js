@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getOvertime,
+  getEmployeeOvertime,
+  recalculateOvertime,
+  decideOvertime,
+} = require("../controllers/overtimeController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/", authMiddleware(["admin"]), getOvertime);
+router.get(
+  "/employee/:employeeId",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getEmployeeOvertime
+);
+router.post("/recalculate", authMiddleware(["admin"]), recalculateOvertime);
+router.patch("/:overtimeId", authMiddleware(["admin"]), decideOvertime);
+
+module.exports = router;
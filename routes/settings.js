@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSettings,
+  updateSettings,
+} = require("../controllers/settingsController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/", authMiddleware(["admin"]), getSettings);
+router.patch("/", authMiddleware(["admin"]), updateSettings);
+
+module.exports = router;
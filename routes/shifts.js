@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getShifts,
+  createShift,
+  updateShift,
+  deleteShift,
+  getAssignments,
+  createAssignment,
+  deleteAssignment,
+  getEmployeeSchedule,
+} = require("../controllers/shiftController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/", authMiddleware(["admin"]), getShifts);
+router.post("/", authMiddleware(["admin"]), createShift);
+router.get("/assignments", authMiddleware(["admin"]), getAssignments);
+router.post("/assignments", authMiddleware(["admin"]), createAssignment);
+router.delete(
+  "/assignments/:assignmentId",
+  authMiddleware(["admin"]),
+  deleteAssignment
+);
+router.get(
+  "/employee/:employeeId/schedule",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getEmployeeSchedule
+);
+router.patch("/:shiftId", authMiddleware(["admin"]), updateShift);
+router.delete("/:shiftId", authMiddleware(["admin"]), deleteShift);
+
+module.exports = router;
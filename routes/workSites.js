@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWorkSites,
+  createWorkSite,
+  updateWorkSite,
+  deleteWorkSite,
+  getEmployeeWorkSites,
+  assignWorkSites,
+} = require("../controllers/workSiteController");
+const authMiddleware = require("../middleware/auth");
+
+router.get("/", authMiddleware(["admin"]), getWorkSites);
+router.post("/", authMiddleware(["admin"]), createWorkSite);
+router.get(
+  "/employee/:employeeId",
+  authMiddleware(["employee", "stagiaire", "admin"]),
+  getEmployeeWorkSites
+);
+router.put("/employee/:employeeId", authMiddleware(["admin"]), assignWorkSites);
+router.patch("/:workSiteId", authMiddleware(["admin"]), updateWorkSite);
+router.delete("/:workSiteId", authMiddleware(["admin"]), deleteWorkSite);
+
+module.exports = router;
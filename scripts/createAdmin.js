@@ -0,0 +1,48 @@
+// Create the first admin of a new deployment.
+//
+// Usage:
+//   npm run create-admin -- --name "Jane Doe" --email jane@example.com --position "HR Manager"
+// Prints a one-time link where the admin chooses a password. Refuses to run
+// once setup is completed (see utils/setup.js); later admins are registered
+// from the application.
+require("dotenv").config();
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const { createFirstAdmin } = require("../utils/setup");
+const { issuePasswordToken } = require("../utils/passwordTokens");
+
+const run = async () => {
+  const { values } = parseArgs({
+    options: {
+      name: { type: "string" },
+      email: { type: "string" },
+      position: { type: "string" },
+    },
+  });
+  const { name, email, position } = values;
+  if (!name || !email || !position) {
+    throw new Error("--name, --email and --position are required");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  const result = await createFirstAdmin({ name, email, position });
+  if (!result.employee) {
+    throw new Error(result.message);
+  }
+
+  const { link, expiresAt } = await issuePasswordToken(
+    result.employee._id,
+    "invitation"
+  );
+  console.log(`Admin ${email} created, setup is now disabled.`);
+  console.log(
+    `Set the password before ${expiresAt.toLocaleString()} at:\n${link}`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Admin creation failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
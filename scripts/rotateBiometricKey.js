@@ -0,0 +1,92 @@
+// Re-encrypt stored face descriptors and TOTP secrets with the active
+// biometric key.
+//
+// Usage: add the new key to BIOMETRIC_ENCRYPTION_KEYS, point
+// BIOMETRIC_ENCRYPTION_KEY_ID at it, deploy, then run
+//   npm run rotate-biometric-key
+// Once it reports nothing left to rotate, the old key can be removed. Values
+// stored in plaintext before encryption was introduced are encrypted too.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Employee = require("../models/Employee");
+const FaceUpdateRequest = require("../models/FaceUpdateRequest");
+const FaceSubmission = require("../models/FaceSubmission");
+const { activeKeyId, keyIdOf } = require("../utils/crypto");
+const { FACE_FIELDS, FACE_ENROLLED_FILTER } = require("../utils/faceIndex");
+
+// Re-encrypt a descriptor path of a document (or subdocument) unless it is
+// already encrypted with the active key. Returns whether it changed.
+const rotatePath = (doc, path) => {
+  const stored = doc.get(path, null, { getters: false });
+  if (stored === undefined || stored === null) {
+    return false;
+  }
+  if (keyIdOf(stored) === activeKeyId()) {
+    return false;
+  }
+  // The getter decrypts with the old key, the setter encrypts with the new
+  doc.set(path, doc.get(path));
+  doc.markModified(path);
+  return true;
+};
+
+const rotateCollection = async (name, cursor, rotateDocument) => {
+  let rotated = 0;
+  for await (const doc of cursor) {
+    if (rotateDocument(doc)) {
+      await doc.save({ validateModifiedOnly: true });
+      rotated += 1;
+    }
+  }
+  console.log(`${name}: ${rotated} document(s) re-encrypted`);
+};
+
+const run = async () => {
+  console.log(`Rotating biometric data to key "${activeKeyId()}"`);
+  await mongoose.connect(process.env.MONGO_URI);
+
+  await rotateCollection(
+    "Employees",
+    Employee.find(FACE_ENROLLED_FILTER).select(FACE_FIELDS).cursor(),
+    (employee) => {
+      let changed = rotatePath(employee, "faceDescriptor");
+      employee.faceDescriptors.forEach((enrollment) => {
+        changed = rotatePath(enrollment, "descriptor") || changed;
+      });
+      return changed;
+    }
+  );
+  await rotateCollection(
+    "Two-factor secrets",
+    Employee.find({
+      $or: [
+        { "twoFactor.secret": { $exists: true } },
+        { "twoFactor.pendingSecret": { $exists: true } },
+      ],
+    })
+      .select("+twoFactor.secret +twoFactor.pendingSecret")
+      .cursor(),
+    (employee) =>
+      [
+        rotatePath(employee, "twoFactor.secret"),
+        rotatePath(employee, "twoFactor.pendingSecret"),
+      ].some(Boolean)
+  );
+  await rotateCollection(
+    "Face update requests",
+    FaceUpdateRequest.find().select("+faceDescriptor").cursor(),
+    (request) => rotatePath(request, "faceDescriptor")
+  );
+  await rotateCollection(
+    "Face submissions",
+    FaceSubmission.find().cursor(),
+    (submission) => rotatePath(submission, "descriptor")
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Biometric key rotation failed:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+
+// Field-level encryption of biometric data, and of other secrets stored with
+// it such as TOTP keys, with AES-256-GCM.
+//
+// BIOMETRIC_ENCRYPTION_KEYS lists the keys as "id:base64key" pairs separated
+// by commas, each key being 32 random bytes. New values are encrypted with
+// BIOMETRIC_ENCRYPTION_KEY_ID (the first key by default); older keys stay
+// listed so existing values can be read until they are re-encrypted with
+// scripts/rotateBiometricKey.js.
+//
+// Encrypted values look like "v1:<key id>:<iv>:<auth tag>:<ciphertext>".
+
+const FORMAT_VERSION = "v1";
+const ALGORITHM = "aes-256-gcm";
+
+const loadKeys = () => {
+  const keys = new Map();
+  (process.env.BIOMETRIC_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      const id = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), "base64");
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(`Invalid biometric encryption key "${id || entry}"`);
+      }
+      keys.set(id, key);
+    });
+  return keys;
+};
+
+let keys = null;
+const getKeys = () => {
+  if (!keys) {
+    keys = loadKeys();
+  }
+  return keys;
+};
+
+const activeKeyId = () =>
+  process.env.BIOMETRIC_ENCRYPTION_KEY_ID || getKeys().keys().next().value;
+
+const getKey = (id) => {
+  const key = getKeys().get(id);
+  if (!key) {
+    throw new Error(`Biometric encryption key "${id}" is not configured`);
+  }
+  return key;
+};
+
+// Check the configuration once at startup rather than on the first
+// enrollment: at least one well-formed key, and the active key listed.
+// Returns the configured key ids.
+const validateKeys = () => {
+  const ids = [...getKeys().keys()];
+  if (!ids.length) {
+    throw new Error("BIOMETRIC_ENCRYPTION_KEYS is not set");
+  }
+  getKey(activeKeyId());
+  return ids;
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(`${FORMAT_VERSION}:`);
+
+// Id of the key a value was encrypted with; null for plaintext values
+const keyIdOf = (value) => (isEncrypted(value) ? value.split(":")[1] : null);
+
+const encrypt = (plaintext) => {
+  const id = activeKeyId();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(id), iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [
+    FORMAT_VERSION,
+    id,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    data.toString("base64"),
+  ].join(":");
+};
+
+const decrypt = (value) => {
+  const [, id, iv, tag, data] = value.split(":");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(id),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]);
+};
+
+// Face descriptors are stored as the bytes of a Float64Array
+const encryptDescriptor = (descriptor) =>
+  encrypt(Buffer.from(Float64Array.from(descriptor).buffer));
+
+const decryptDescriptor = (value) => {
+  // Copied so the buffer is aligned for a Float64Array
+  const bytes = Uint8Array.from(decrypt(value));
+  return Array.from(new Float64Array(bytes.buffer));
+};
+
+// Mongoose setter and getter for descriptor fields. Values stored before
+// encryption was introduced are plain arrays and are read as they are.
+const descriptorField = {
+  set: (descriptor) =>
+    Array.isArray(descriptor) ? encryptDescriptor(descriptor) : descriptor,
+  get: (value) => (isEncrypted(value) ? decryptDescriptor(value) : value),
+};
+
+// Same for string secrets
+const secretField = {
+  set: (secret) =>
+    typeof secret === "string" && !isEncrypted(secret)
+      ? encrypt(Buffer.from(secret))
+      : secret,
+  get: (value) => (isEncrypted(value) ? decrypt(value).toString() : value),
+};
+
+module.exports = {
+  validateKeys,
+  activeKeyId,
+  keyIdOf,
+  encryptDescriptor,
+  decryptDescriptor,
+  descriptorField,
+  secretField,
+};
@@ -14,6 +14,7 @@ const transporter = nodemailer.createTransport({
 });
 
 const Notification = require("../models/Notification");
+const Employee = require("../models/Employee");
 
 const sendEmailAndNotify = async (to, subject, text, notificationData = {}) => {
   const mailOptions = {
@@ -55,4 +56,21 @@ const sendEmailAndNotify = async (to, subject, text, notificationData = {}) => {
   }
 };
 
-module.exports = { sendEmailAndNotify };
+// Email and notify every admin without waiting for delivery
+const notifyAdmins = async (subject, text, type) => {
+  const admins = await Employee.find({ role: "admin" }).select("email");
+  admins.forEach((admin) => {
+    sendEmailAndNotify(admin.email, subject, text, {
+      userId: admin._id.toString(),
+      type,
+    }).catch((error) => {
+      console.error("Failed to notify admin:", {
+        message: error.message,
+        adminId: admin._id,
+        type,
+      });
+    });
+  });
+};
+
+module.exports = { sendEmailAndNotify, notifyAdmins };
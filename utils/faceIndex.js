@@ -0,0 +1,217 @@
+const Employee = require("../models/Employee");
+const CompanySettings = require("../models/CompanySettings");
+const FaceUpdateRequest = require("../models/FaceUpdateRequest");
+const FaceSubmission = require("../models/FaceSubmission");
+
+// How much closer the best match must be than the next employee for an
+// identification to be trusted
+const FACE_MATCH_MARGIN = parseFloat(process.env.FACE_MATCH_MARGIN) || 0.05;
+
+// Changes are applied through invalidateFaceIndex(); the age limit picks up
+// changes made by other server instances
+const INDEX_MAX_AGE_MS =
+  (parseInt(process.env.FACE_INDEX_MAX_AGE_SECONDS) || 300) * 1000;
+
+const DESCRIPTOR_LENGTH = 128;
+
+// Projection adding the encrypted face fields, which are not loaded by default
+const FACE_FIELDS = "+faceDescriptor +faceDescriptors";
+
+// Employees with a face enrollment
+const FACE_ENROLLED_FILTER = {
+  $or: [
+    { "faceDescriptors.0": { $exists: true } },
+    { faceDescriptor: { $exists: true } },
+  ],
+};
+
+let index = null;
+let loading = null;
+// Bumped on invalidation so a rebuild started before a change is not kept
+let generation = 0;
+
+function calculateDistance(descriptor1, descriptor2) {
+  if (!descriptor1 || !descriptor2 || descriptor1.length !== descriptor2.length)
+    return Infinity;
+  let sum = 0;
+  for (let i = 0; i < descriptor1.length; i += 1) {
+    const difference = descriptor1[i] - descriptor2[i];
+    sum += difference * difference;
+  }
+  return Math.sqrt(sum);
+}
+
+// Descriptors an employee is enrolled with. Employees enrolled before
+// multiple descriptors were supported only have the legacy one.
+const enrolledDescriptors = (employee) => {
+  const descriptors = (employee.faceDescriptors || []).map(
+    (enrollment) => enrollment.descriptor
+  );
+  if (!descriptors.length && employee.faceDescriptor) {
+    descriptors.push(employee.faceDescriptor);
+  }
+  return descriptors.filter(
+    (descriptor) => descriptor.length === DESCRIPTOR_LENGTH
+  );
+};
+
+const meanDescriptor = (descriptors) => {
+  const mean = new Float64Array(DESCRIPTOR_LENGTH);
+  descriptors.forEach((descriptor) => {
+    for (let i = 0; i < DESCRIPTOR_LENGTH; i += 1) {
+      mean[i] += descriptor[i] / descriptors.length;
+    }
+  });
+  return mean;
+};
+
+// Distance between a descriptor and an enrollment, following the company's
+// match strategy
+const matchDistance = (descriptor, descriptors, strategy = "closest") => {
+  if (!descriptors.length) {
+    return Infinity;
+  }
+  if (strategy === "mean") {
+    return calculateDistance(descriptor, meanDescriptor(descriptors));
+  }
+  return Math.min(
+    ...descriptors.map((enrolled) => calculateDistance(descriptor, enrolled))
+  );
+};
+
+const getFacePolicy = async () =>
+  (await CompanySettings.getSettings()).faceRecognition;
+
+// Match threshold at a work site, falling back to the company's
+const faceThreshold = (policy, site) =>
+  (site && site.faceMatchThreshold) || policy.matchThreshold;
+
+const buildIndex = async () => {
+  const employees = await Employee.find(FACE_ENROLLED_FILTER).select(
+    `name ${FACE_FIELDS}`
+  );
+  const entries = [];
+  employees.forEach((employee) => {
+    const descriptors = enrolledDescriptors(employee).map((descriptor) =>
+      Float64Array.from(descriptor)
+    );
+    if (descriptors.length) {
+      entries.push({
+        employeeId: employee._id,
+        name: employee.name,
+        descriptors,
+        mean: meanDescriptor(descriptors),
+      });
+    }
+  });
+  return { builtAt: Date.now(), entries };
+};
+
+// Enrolled descriptors kept in memory, so identification does not load every
+// employee on each request. Concurrent callers share one rebuild.
+const getFaceIndex = async () => {
+  if (index && Date.now() - index.builtAt < INDEX_MAX_AGE_MS) {
+    return index;
+  }
+  if (!loading) {
+    const startedAt = generation;
+    const rebuild = buildIndex()
+      .then((built) => {
+        if (startedAt === generation) {
+          index = built;
+        }
+        return built;
+      })
+      .finally(() => {
+        if (loading === rebuild) {
+          loading = null;
+        }
+      });
+    loading = rebuild;
+  }
+  return loading;
+};
+
+// Call after any change to an employee's face descriptors
+const invalidateFaceIndex = () => {
+  index = null;
+  loading = null;
+  generation += 1;
+};
+
+// Closest and runner-up enrolled employees for a descriptor
+const rankEnrollments = async (descriptor, strategy, excludeEmployeeId) => {
+  const { entries } = await getFaceIndex();
+  let best = null;
+  let secondDistance = Infinity;
+  entries.forEach((entry) => {
+    if (excludeEmployeeId && entry.employeeId.equals(excludeEmployeeId)) {
+      return;
+    }
+    const distance =
+      strategy === "mean"
+        ? calculateDistance(descriptor, entry.mean)
+        : matchDistance(descriptor, entry.descriptors);
+    if (!best || distance < best.distance) {
+      secondDistance = best ? best.distance : Infinity;
+      best = { employeeId: entry.employeeId, name: entry.name, distance };
+    } else if (distance < secondDistance) {
+      secondDistance = distance;
+    }
+  });
+  return { best, secondDistance };
+};
+
+// Find the enrolled employee closest to a descriptor. `match` is null when
+// nobody is within the threshold or the runner-up is too close to tell apart.
+// `threshold` defaults to the company's.
+const identifyFace = async (descriptor, threshold) => {
+  const policy = await getFacePolicy();
+  const limit = threshold || policy.matchThreshold;
+  const { best, secondDistance } = await rankEnrollments(
+    descriptor,
+    policy.matchStrategy
+  );
+
+  if (!best || best.distance >= limit) {
+    return { match: null, reason: "not_recognized", best };
+  }
+  const margin = secondDistance - best.distance;
+  if (margin < FACE_MATCH_MARGIN) {
+    return { match: null, reason: "ambiguous", best, margin };
+  }
+  return { match: best, margin };
+};
+
+// Another employee whose enrollment a new descriptor would match, if any.
+// Always compared with the closest descriptor, the stricter strategy.
+const findConflictingEnrollment = async (descriptor, employeeId, policy) => {
+  const { best } = await rankEnrollments(descriptor, "closest", employeeId);
+  return best && best.distance < policy.matchThreshold ? best : null;
+};
+
+// Remove every stored face descriptor of an employee: the enrollment,
+// pending update requests and the submissions kept for replay checks
+const eraseFaceData = async (employeeId) => {
+  await Employee.updateOne(
+    { _id: employeeId },
+    { $unset: { faceDescriptor: 1 }, $set: { faceDescriptors: [] } }
+  );
+  await FaceUpdateRequest.deleteMany({ employee: employeeId });
+  await FaceSubmission.deleteMany({ employee: employeeId });
+  invalidateFaceIndex();
+};
+
+module.exports = {
+  FACE_FIELDS,
+  FACE_ENROLLED_FILTER,
+  calculateDistance,
+  enrolledDescriptors,
+  matchDistance,
+  getFacePolicy,
+  faceThreshold,
+  invalidateFaceIndex,
+  identifyFace,
+  findConflictingEnrollment,
+  eraseFaceData,
+};
@@ -0,0 +1,70 @@
+const FaceSubmission = require("../models/FaceSubmission");
+const { issueNonce, consumeNonce } = require("./nonces");
+const { calculateDistance } = require("./faceIndex");
+const { notifyAdmins } = require("./email");
+
+// Time a client has to capture a face after requesting a challenge
+const FACE_CHALLENGE_TTL_SECONDS =
+  parseInt(process.env.FACE_CHALLENGE_TTL_SECONDS) || 120;
+
+// Two live captures of the same face are never this close; a closer
+// descriptor is a replayed one
+const FACE_REPLAY_DISTANCE =
+  parseFloat(process.env.FACE_REPLAY_DISTANCE) || 0.05;
+
+// How long submitted descriptors are compared against
+const FACE_REPLAY_WINDOW_DAYS =
+  parseInt(process.env.FACE_REPLAY_WINDOW_DAYS) || 30;
+
+const issueFaceChallenge = (subjectId) =>
+  issueNonce("face_challenge", FACE_CHALLENGE_TTL_SECONDS, {
+    subject: subjectId,
+  });
+
+// Use up a challenge; false when it is unknown, expired or already used
+const consumeFaceChallenge = (challenge, consumerId) =>
+  consumeNonce(challenge, "face_challenge", consumerId);
+
+// Record a submitted descriptor and return the earlier submission it
+// replays, if any
+const recordFaceSubmission = async (employeeId, descriptor, kioskDevice) => {
+  const since = new Date(
+    Date.now() - FACE_REPLAY_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+  const recent = await FaceSubmission.find({
+    employee: employeeId,
+    createdAt: { $gte: since },
+  });
+  const replayed = recent.find(
+    (submission) =>
+      calculateDistance(descriptor, submission.descriptor) <
+      FACE_REPLAY_DISTANCE
+  );
+
+  await FaceSubmission.create({
+    employee: employeeId,
+    descriptor,
+    kioskDevice,
+    expiresAt: new Date(
+      Date.now() + FACE_REPLAY_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    ),
+  });
+  return replayed || null;
+};
+
+const reportSuspiciousFaceAttempt = (employee, replayed) =>
+  notifyAdmins(
+    "Suspicious Facial Check-in",
+    `A facial check-in for ${
+      employee.name
+    } reused a face capture first submitted on ${replayed.createdAt.toLocaleString()}. The attempt was rejected.`,
+    "suspicious_face_attempt"
+  );
+
+module.exports = {
+  FACE_CHALLENGE_TTL_SECONDS,
+  issueFaceChallenge,
+  consumeFaceChallenge,
+  recordFaceSubmission,
+  reportSuspiciousFaceAttempt,
+};
@@ -0,0 +1,140 @@
+// Geofence helpers. Coordinates are GeoJSON ordered: [longitude, latitude].
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Device accuracy (meters) above which a fix is too coarse to be trusted
+const maxTrustedAccuracy = parseFloat(process.env.GPS_MAX_ACCURACY) || 100;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance between two points
+const distanceInMeters = (from, to) => {
+  const dLat = toRadians(to[1] - from[1]);
+  const dLng = toRadians(to[0] - from[0]);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[1])) *
+      Math.cos(toRadians(to[1])) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Ray casting against the outer ring of a polygon
+const isPointInRing = (point, ring) => {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Distance to a segment, measured on a local tangent plane centered on the
+// point. Accurate to well under a meter at work-site scale.
+const distanceToSegment = (point, start, end) => {
+  const metersPerDegreeLat = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(point[1]));
+  const project = ([lng, lat]) => [
+    (lng - point[0]) * metersPerDegreeLng,
+    (lat - point[1]) * metersPerDegreeLat,
+  ];
+  const [ax, ay] = project(start);
+  const [bx, by] = project(end);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared
+    ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared))
+    : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+// Signed distance from the point to the site's geofence boundary: negative
+// inside the geofence, positive outside
+const signedDistanceToSite = (coordinates, site) => {
+  if (site.geofenceType === "polygon") {
+    const ring = site.boundary.coordinates[0];
+    let nearest = Infinity;
+    for (let i = 0; i < ring.length - 1; i++) {
+      nearest = Math.min(
+        nearest,
+        distanceToSegment(coordinates, ring[i], ring[i + 1])
+      );
+    }
+    return isPointInRing(coordinates, ring) ? -nearest : nearest;
+  }
+  return distanceInMeters(coordinates, site.center.coordinates) - site.radius;
+};
+
+// Distance from the point to the site's geofence; 0 when inside it
+const distanceToSite = (coordinates, site) =>
+  Math.max(0, signedDistanceToSite(coordinates, site));
+
+// Match a check-in position against the candidate sites, taking the
+// device-reported accuracy radius into account. Returns the best site and a
+// confidence verdict, or no site when the position is outside every geofence
+// by more than its accuracy:
+//   verified     - the whole accuracy circle lies inside the geofence
+//   probable     - inside, but the accuracy circle crosses the boundary
+//   uncertain    - outside, but within the accuracy radius of the boundary
+//   low_accuracy - the device accuracy is too coarse to be trusted
+//   unverified   - inside, but the client did not report an accuracy
+const evaluateLocation = (coordinates, accuracy, sites) => {
+  let best = null;
+  sites.forEach((site) => {
+    const distance = signedDistanceToSite(coordinates, site);
+    if (!best || distance < best.distance) {
+      best = { site, distance };
+    }
+  });
+  if (!best) {
+    return { site: null, verdict: "outside", distance: null };
+  }
+
+  const hasAccuracy = typeof accuracy === "number" && accuracy >= 0;
+  const radius = hasAccuracy ? accuracy : 0;
+  const distance = Math.round(best.distance);
+  if (best.distance > radius) {
+    return { site: null, verdict: "outside", distance };
+  }
+
+  let verdict;
+  if (!hasAccuracy) {
+    verdict = "unverified";
+  } else if (accuracy > maxTrustedAccuracy) {
+    verdict = "low_accuracy";
+  } else if (best.distance <= -accuracy) {
+    verdict = "verified";
+  } else if (best.distance <= 0) {
+    verdict = "probable";
+  } else {
+    verdict = "uncertain";
+  }
+  return { site: best.site, verdict, distance };
+};
+
+// A representative point of a site: its center, or the average of its
+// boundary's vertices
+const siteReferencePoint = (site) => {
+  if (site.geofenceType === "radius") {
+    return site.center.coordinates;
+  }
+  const ring = site.boundary.coordinates[0].slice(0, -1);
+  return [0, 1].map(
+    (axis) => ring.reduce((sum, point) => sum + point[axis], 0) / ring.length
+  );
+};
+
+module.exports = {
+  distanceInMeters,
+  isPointInRing,
+  distanceToSite,
+  evaluateLocation,
+  siteReferencePoint,
+};
@@ -0,0 +1,14 @@
+const crypto = require("crypto");
+
+// Device tokens are random and long, so a plain SHA-256 is enough to store
+// them without keeping the secret itself
+const hashDeviceToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// New credential for a kiosk device; the token is only shown once
+const generateDeviceToken = () => {
+  const token = `kiosk_${crypto.randomBytes(32).toString("hex")}`;
+  return { token, tokenHash: hashDeviceToken(token) };
+};
+
+module.exports = { hashDeviceToken, generateDeviceToken };
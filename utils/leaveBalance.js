@@ -0,0 +1,209 @@
+const Leave = require("../models/Leave");
+const LeaveLedger = require("../models/LeaveLedger");
+
+// Leave policies per type. Tracked types accrue monthly from the hire date and
+// are deducted on approval; untracked types are recorded but never charged.
+const LEAVE_POLICIES = {
+  annual: {
+    tracked: true,
+    monthlyAccrual: parseFloat(process.env.LEAVE_ANNUAL_ACCRUAL) || 2,
+    roles: ["employee", "admin"],
+  },
+  sick: {
+    tracked: true,
+    monthlyAccrual: parseFloat(process.env.LEAVE_SICK_ACCRUAL) || 1,
+    roles: ["employee", "stagiaire", "admin"],
+  },
+  unpaid: {
+    tracked: false,
+    roles: ["employee", "stagiaire", "admin"],
+  },
+  maternity: {
+    tracked: false,
+    roles: ["employee", "stagiaire", "admin"],
+  },
+  internship_absence: {
+    tracked: true,
+    monthlyAccrual:
+      parseFloat(process.env.LEAVE_INTERNSHIP_ABSENCE_ACCRUAL) || 1,
+    roles: ["stagiaire"],
+  },
+};
+
+const LEAVE_TYPES = Object.keys(LEAVE_POLICIES);
+
+const isTypeAllowedForRole = (type, role) =>
+  Boolean(LEAVE_POLICIES[type] && LEAVE_POLICIES[type].roles.includes(role));
+
+// Number of full months elapsed between two dates
+const monthsElapsed = (from, to) => {
+  let months =
+    (to.getFullYear() - from.getFullYear()) * 12 +
+    (to.getMonth() - from.getMonth());
+  if (to.getDate() < from.getDate()) {
+    months -= 1;
+  }
+  return Math.max(months, 0);
+};
+
+const accrualPeriod = (from, offset) => {
+  const monthIndex = from.getMonth() + offset;
+  const year = from.getFullYear() + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  return `${year}-${String(month).padStart(2, "0")}`;
+};
+
+// Create any missing monthly accrual entries for the employee, up to today
+const ensureAccruals = async (employee, now = new Date()) => {
+  const hireDate = new Date(employee.hireDate || employee.createdAt);
+  if (isNaN(hireDate.getTime())) {
+    return;
+  }
+  const months = monthsElapsed(hireDate, now);
+
+  for (const type of LEAVE_TYPES) {
+    const policy = LEAVE_POLICIES[type];
+    if (!policy.tracked || !policy.roles.includes(employee.role)) {
+      continue;
+    }
+
+    const existing = await LeaveLedger.distinct("period", {
+      employee: employee._id,
+      leaveType: type,
+      kind: "accrual",
+    });
+    const existingPeriods = new Set(existing);
+
+    const missing = [];
+    for (let i = 1; i <= months; i++) {
+      const period = accrualPeriod(hireDate, i);
+      if (!existingPeriods.has(period)) {
+        missing.push({
+          employee: employee._id,
+          leaveType: type,
+          kind: "accrual",
+          days: policy.monthlyAccrual,
+          period,
+          note: `Monthly accrual for ${period}`,
+        });
+      }
+    }
+
+    if (missing.length) {
+      try {
+        await LeaveLedger.insertMany(missing, { ordered: false });
+      } catch (error) {
+        // A concurrent request may already have created some of the entries
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+  }
+};
+
+// Current balance per leave type, including days held by pending requests
+const getBalances = async (employee) => {
+  await ensureAccruals(employee);
+
+  const totals = await LeaveLedger.aggregate([
+    { $match: { employee: employee._id } },
+    {
+      $group: {
+        _id: { leaveType: "$leaveType", kind: "$kind" },
+        days: { $sum: "$days" },
+      },
+    },
+  ]);
+  const pending = await Leave.aggregate([
+    { $match: { employee: employee._id, status: "pending" } },
+    { $group: { _id: "$type", days: { $sum: "$days" } } },
+  ]);
+
+  const balances = {};
+  for (const type of LEAVE_TYPES) {
+    const policy = LEAVE_POLICIES[type];
+    if (!policy.roles.includes(employee.role)) {
+      continue;
+    }
+    balances[type] = {
+      tracked: policy.tracked,
+      accrued: 0,
+      used: 0,
+      refunded: 0,
+      adjusted: 0,
+      balance: 0,
+      pending: 0,
+      available: 0,
+    };
+  }
+
+  const kindField = {
+    accrual: "accrued",
+    deduction: "used",
+    refund: "refunded",
+    adjustment: "adjusted",
+  };
+  totals.forEach(({ _id, days }) => {
+    const entry = balances[_id.leaveType];
+    if (!entry) return;
+    entry[kindField[_id.kind]] += _id.kind === "deduction" ? -days : days;
+    entry.balance += days;
+  });
+  pending.forEach(({ _id, days }) => {
+    if (balances[_id]) {
+      balances[_id].pending = days;
+    }
+  });
+  Object.values(balances).forEach((entry) => {
+    entry.available = entry.balance - entry.pending;
+  });
+
+  return balances;
+};
+
+const deductLeave = async (leave, actorId, note = "Leave approved") => {
+  if (!LEAVE_POLICIES[leave.type].tracked) {
+    return null;
+  }
+  return LeaveLedger.create({
+    employee: leave.employee._id || leave.employee,
+    leaveType: leave.type,
+    kind: "deduction",
+    days: -leave.days,
+    leave: leave._id,
+    note,
+    createdBy: actorId,
+  });
+};
+
+// Give back whatever is still charged for the leave, so refunding twice or
+// refunding a leave approved before balances existed is a no-op
+const refundLeave = async (leave, actorId, note = "Leave cancelled") => {
+  const [charged] = await LeaveLedger.aggregate([
+    { $match: { leave: leave._id } },
+    { $group: { _id: null, days: { $sum: "$days" } } },
+  ]);
+  if (!charged || charged.days >= 0) {
+    return null;
+  }
+  return LeaveLedger.create({
+    employee: leave.employee._id || leave.employee,
+    leaveType: leave.type,
+    kind: "refund",
+    days: -charged.days,
+    leave: leave._id,
+    note,
+    createdBy: actorId,
+  });
+};
+
+module.exports = {
+  LEAVE_POLICIES,
+  LEAVE_TYPES,
+  isTypeAllowedForRole,
+  ensureAccruals,
+  getBalances,
+  deductLeave,
+  refundLeave,
+};
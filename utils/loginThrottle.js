@@ -0,0 +1,126 @@
+const LoginAttempt = require("../models/LoginAttempt");
+
+// Failures allowed before a lockout, per account and per IP. An IP may be
+// shared (offices, mobile carriers), hence its higher limit.
+const MAX_FAILURES = {
+  account: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  ip: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+};
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Failures older than this are forgotten
+const FAILURE_WINDOW_HOURS =
+  parseInt(process.env.LOGIN_FAILURE_WINDOW_HOURS) || 24;
+const MAX_DELAY_SECONDS = 30;
+
+const accountKey = (email) => `account:${email.toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Wait imposed after the nth consecutive failure: none for the first two,
+// then 1, 2, 4... seconds
+const delaySeconds = (failures) =>
+  failures < 3 ? 0 : Math.min(2 ** (failures - 3), MAX_DELAY_SECONDS);
+
+// Seconds before the email and IP may try again, with the reason, or null
+// when the attempt is allowed
+const checkLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const attempts = await LoginAttempt.find({
+    key: { $in: [accountKey(email), ipKey(ip)] },
+  });
+  let blocked = null;
+  attempts.forEach((attempt) => {
+    const locked = attempt.lockedUntil > now;
+    const until = locked ? attempt.lockedUntil : attempt.nextAttemptAt;
+    if (until > now && (!blocked || until > blocked.until)) {
+      blocked = { until, locked };
+    }
+  });
+  return (
+    blocked && {
+      locked: blocked.locked,
+      retryAfter: Math.ceil((blocked.until - now) / 1000),
+    }
+  );
+};
+
+const recordFailure = async (key, maxFailures) => {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(
+          now.getTime() + FAILURE_WINDOW_HOURS * 60 * 60 * 1000
+        ),
+      },
+    },
+    { new: true, upsert: true }
+  );
+
+  if (attempt.failures < maxFailures) {
+    attempt.nextAttemptAt = new Date(
+      now.getTime() + delaySeconds(attempt.failures) * 1000
+    );
+    await attempt.save();
+    return null;
+  }
+
+  // Only the request reaching the limit starts the lockout
+  const minutes = Math.min(
+    LOCKOUT_MINUTES * 2 ** attempt.lockouts,
+    MAX_LOCKOUT_MINUTES
+  );
+  const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  const locked = await LoginAttempt.findOneAndUpdate(
+    { _id: attempt._id, failures: attempt.failures },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        nextAttemptAt: null,
+        expiresAt: new Date(
+          lockedUntil.getTime() + FAILURE_WINDOW_HOURS * 60 * 60 * 1000
+        ),
+      },
+      $inc: { lockouts: 1 },
+    },
+    { new: true }
+  );
+  return locked && locked.lockedUntil;
+};
+
+// Count a failed login against the account and the IP. Returns when the
+// account is locked if this failure locked it, null otherwise.
+const recordLoginFailure = async (email, ip) => {
+  const [accountLockedUntil] = await Promise.all([
+    recordFailure(accountKey(email), MAX_FAILURES.account),
+    recordFailure(ipKey(ip), MAX_FAILURES.ip),
+  ]);
+  return accountLockedUntil;
+};
+
+// After a successful login the account starts afresh. The IP keeps its
+// count, so one valid account does not let it guess others.
+const clearLoginFailures = (email) =>
+  LoginAttempt.deleteOne({ key: accountKey(email) });
+
+// Lift a lockout and forget the account's failures
+const unlockAccount = (email) => clearLoginFailures(email);
+
+const getAccountLock = async (email) => {
+  const attempt = await LoginAttempt.findOne({ key: accountKey(email) });
+  return attempt && attempt.lockedUntil > new Date()
+    ? attempt.lockedUntil
+    : null;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount,
+  getAccountLock,
+};
@@ -0,0 +1,69 @@
+const Attendance = require("../models/Attendance");
+const { sendEmailAndNotify, notifyAdmins } = require("./email");
+const { timezoneOf, resolveShift, exitDeadline } = require("./shifts");
+
+// Mark an open record as a forgotten clock-out and ask the employee to file a
+// correction request. `employee` needs name and email.
+const flagMissingExit = async (record, employee, now = new Date()) => {
+  record.missingExit = true;
+  record.missingExitFlaggedAt = now;
+  await record.save();
+
+  const entry = new Date(record.entryTime).toLocaleString();
+  sendEmailAndNotify(
+    employee.email,
+    "Missing Exit",
+    `No exit was recorded for your attendance starting ${entry}. Please submit a correction request with your actual exit time.`,
+    { userId: employee._id.toString(), type: "missing_exit" }
+  ).catch((error) => {
+    console.error("Failed to send missing exit notification:", {
+      message: error.message,
+      attendanceId: record._id,
+    });
+  });
+  notifyAdmins(
+    "Missing Exit",
+    `${employee.name} did not record an exit for the attendance starting ${entry}.`,
+    "missing_exit"
+  ).catch((error) => {
+    console.error("Failed to notify admins of missing exit:", error.message);
+  });
+};
+
+// Whether an open record is past the point where an exit can be paired with it
+const isPastExitDeadline = async (record, now = new Date()) => {
+  const timezone = timezoneOf(record.workSite);
+  const shift = await resolveShift(
+    record.employee._id || record.employee,
+    record.entryTime,
+    timezone
+  );
+  return exitDeadline(record, shift, timezone) < now;
+};
+
+// Flag every open record whose shift ended more than the grace period ago.
+// Returns the number of records flagged.
+const flagMissingExits = async (now = new Date()) => {
+  const openRecords = await Attendance.find({
+    isOpen: true,
+    entryTime: { $lt: now },
+  })
+    .populate("employee", "name email")
+    .populate("workSite", "timezone");
+
+  let flagged = 0;
+  for (const record of openRecords) {
+    if (!record.employee || !(await isPastExitDeadline(record, now))) {
+      continue;
+    }
+    await flagMissingExit(record, record.employee, now);
+    flagged += 1;
+  }
+  return flagged;
+};
+
+module.exports = {
+  flagMissingExit,
+  isPastExitDeadline,
+  flagMissingExits,
+};
@@ -0,0 +1,36 @@
+const crypto = require("crypto");
+const Nonce = require("../models/Nonce");
+
+const issueNonce = async (purpose, ttlSeconds, options = {}) => {
+  const nonce = await Nonce.create({
+    value: crypto.randomBytes(16).toString("hex"),
+    purpose,
+    subject: options.subject,
+    singleUse: options.singleUse !== false,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+  });
+  return nonce;
+};
+
+// Atomically mark the nonce as used by the consumer. Returns false when it is
+// unknown, expired, issued to another subject, or already used (by anyone
+// for single-use nonces, by this consumer otherwise).
+const consumeNonce = async (value, purpose, consumerId) => {
+  const nonce = await Nonce.findOneAndUpdate(
+    {
+      value,
+      purpose,
+      expiresAt: { $gt: new Date() },
+      consumedBy: { $ne: consumerId },
+      $and: [
+        { $or: [{ subject: { $exists: false } }, { subject: consumerId }] },
+        { $or: [{ singleUse: false }, { "consumedBy.0": { $exists: false } }] },
+      ],
+    },
+    { $push: { consumedBy: consumerId } },
+    { new: true }
+  );
+  return Boolean(nonce);
+};
+
+module.exports = { issueNonce, consumeNonce };
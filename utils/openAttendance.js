@@ -0,0 +1,54 @@
+const Attendance = require("../models/Attendance");
+
+// Records saved before isOpen existed lack it, so check-ins, breaks and
+// exits (which look records up by isOpen) would not see them. Run at
+// startup; records that already have the flag are left alone.
+//
+// Should an employee have several open legacy records, the latest stays
+// open and the older ones are flagged as missing their exit, to be fixed
+// with a correction request like any forgotten clock-out.
+const backfillOpenFlags = async (now = new Date()) => {
+  const legacy = { isOpen: { $exists: false } };
+  const closed = await Attendance.updateMany(
+    { ...legacy, $or: [{ exitTime: { $ne: null } }, { missingExit: true }] },
+    { $set: { isOpen: false } }
+  );
+
+  const openRecords = await Attendance.find(legacy)
+    .sort({ entryTime: -1 })
+    .select("employee");
+  const result = { closed: closed.modifiedCount, opened: 0, flagged: 0 };
+  for (const record of openRecords) {
+    let opened = false;
+    if (
+      !(await Attendance.exists({ employee: record.employee, isOpen: true }))
+    ) {
+      try {
+        const update = await Attendance.updateOne(
+          { _id: record._id, ...legacy },
+          { $set: { isOpen: true } }
+        );
+        opened = update.modifiedCount === 1;
+      } catch (error) {
+        // A check-in opened another record meanwhile
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    if (opened) {
+      result.opened += 1;
+    } else {
+      await Attendance.updateOne(
+        { _id: record._id, ...legacy },
+        {
+          $set: { isOpen: false, missingExit: true, missingExitFlaggedAt: now },
+        }
+      );
+      result.flagged += 1;
+    }
+  }
+  return result;
+};
+
+module.exports = { backfillOpenFlags };
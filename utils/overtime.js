@@ -0,0 +1,215 @@
+const Attendance = require("../models/Attendance");
+const Overtime = require("../models/Overtime");
+const CompanySettings = require("../models/CompanySettings");
+const { dateKey, loadCalendar, isHoliday } = require("./workingDays");
+const {
+  scheduledMinutes,
+  recordedBreakMinutes,
+  netWorkedMinutes,
+  timezoneOf,
+  getZonedParts,
+  createShiftResolver,
+} = require("./shifts");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const keyToDate = (key) => new Date(`${key}T00:00:00Z`);
+
+const addDays = (key, days) =>
+  dateKey(keyToDate(key).getTime() + days * MS_PER_DAY);
+
+// Monday starting the week of a calendar day
+const weekStart = (key) =>
+  addDays(key, -((keyToDate(key).getUTCDay() + 6) % 7));
+
+// Net work of each day against the shift scheduled on it, then turn the excess
+// into overtime blocks:
+//   - on holidays and on days the shift does not cover, all work is overtime
+//   - on scheduled days, the excess over the shift once it reaches
+//     minimumDailyMinutes
+//   - per week, scheduled-day work still exceeding the week's scheduled time
+//     after daily blocks, so small daily excesses add up
+const computeOvertimeBlocks = (timeByDay, resolve, calendar, policy) => {
+  const blocks = [];
+  const weeks = new Map();
+
+  [...timeByDay.keys()].sort().forEach((key) => {
+    const shift = resolve(key);
+    const { gross, breaks } = timeByDay.get(key);
+    const worked = Math.round(netWorkedMinutes(gross, breaks, shift));
+    const scheduled = shift.daysOfWeek.includes(keyToDate(key).getUTCDay());
+    let dayType = "weekday";
+    if (isHoliday(key, calendar)) {
+      dayType = "holiday";
+    } else if (!scheduled) {
+      dayType = "weekend";
+    }
+
+    if (dayType !== "weekday") {
+      if (worked > 0) {
+        blocks.push({
+          period: "day",
+          date: key,
+          dayType,
+          minutes: worked,
+          multiplier: policy[`${dayType}Multiplier`],
+        });
+      }
+      return;
+    }
+
+    const expected = scheduledMinutes(shift);
+    const excess = worked - expected;
+    const daily = excess >= policy.minimumDailyMinutes ? excess : 0;
+    if (daily > 0) {
+      blocks.push({
+        period: "day",
+        date: key,
+        dayType,
+        minutes: daily,
+        multiplier: policy.weekdayMultiplier,
+      });
+    }
+
+    const week = weekStart(key);
+    const totals = weeks.get(week) || { worked: 0, expected: 0, daily: 0 };
+    totals.worked += worked;
+    totals.expected += expected;
+    totals.daily += daily;
+    weeks.set(week, totals);
+  });
+
+  weeks.forEach((totals, week) => {
+    const minutes = totals.worked - totals.expected - totals.daily;
+    if (minutes > 0) {
+      blocks.push({
+        period: "week",
+        date: week,
+        dayType: "weekday",
+        minutes,
+        multiplier: policy.weekdayMultiplier,
+      });
+    }
+  });
+  return blocks;
+};
+
+// Recompute the overtime blocks of every week touching [startDate, endDate].
+// Pending blocks follow the attendance; a decided block whose minutes change
+// goes back to pending so it is reviewed again.
+const syncOvertime = async (employeeId, startDate, endDate) => {
+  const firstDay = weekStart(dateKey(startDate));
+  const lastDay = addDays(weekStart(dateKey(endDate)), 6);
+
+  // Pad the query by a day on each side: the calendar day of a record is
+  // taken in its work site's time zone
+  const records = await Attendance.find({
+    employee: employeeId,
+    entryTime: {
+      $gte: keyToDate(addDays(firstDay, -1)),
+      $lt: keyToDate(addDays(lastDay, 2)),
+    },
+    exitTime: { $exists: true },
+  }).populate("workSite", "timezone");
+
+  const timeByDay = new Map();
+  records.forEach((record) => {
+    const { dateKey: key } = getZonedParts(
+      record.entryTime,
+      timezoneOf(record.workSite)
+    );
+    if (key < firstDay || key > lastDay) {
+      return;
+    }
+    const day = timeByDay.get(key) || { gross: 0, breaks: 0 };
+    day.gross += (record.exitTime - record.entryTime) / 60000;
+    day.breaks += recordedBreakMinutes(record);
+    timeByDay.set(key, day);
+  });
+
+  const settings = await CompanySettings.getSettings();
+  const blocks = computeOvertimeBlocks(
+    timeByDay,
+    await createShiftResolver(employeeId),
+    await loadCalendar(),
+    settings.overtime
+  );
+
+  const existing = await Overtime.find({
+    employee: employeeId,
+    date: { $gte: keyToDate(firstDay), $lte: keyToDate(lastDay) },
+  });
+  const existingByKey = new Map(
+    existing.map((block) => [`${block.period}:${dateKey(block.date)}`, block])
+  );
+
+  for (const computed of blocks) {
+    const blockKey = `${computed.period}:${computed.date}`;
+    const block = existingByKey.get(blockKey);
+    existingByKey.delete(blockKey);
+    if (!block) {
+      await Overtime.create({
+        ...computed,
+        employee: employeeId,
+        date: keyToDate(computed.date),
+      });
+      continue;
+    }
+    if (block.minutes === computed.minutes) {
+      continue;
+    }
+    block.minutes = computed.minutes;
+    block.dayType = computed.dayType;
+    block.multiplier = computed.multiplier;
+    if (block.status !== "pending") {
+      block.status = "pending";
+      block.comment = "Recalculated after an attendance change";
+      block.decidedBy = undefined;
+      block.decidedAt = undefined;
+    }
+    await block.save();
+  }
+
+  // Blocks whose overtime disappeared: drop pending ones, keep decided ones
+  // for the record with nothing left to pay
+  for (const block of existingByKey.values()) {
+    if (block.status === "pending") {
+      await block.deleteOne();
+    } else if (block.minutes !== 0) {
+      block.minutes = 0;
+      await block.save();
+    }
+  }
+
+  return Overtime.find({
+    employee: employeeId,
+    date: { $gte: keyToDate(firstDay), $lte: keyToDate(lastDay) },
+  }).sort({ date: 1, period: 1 });
+};
+
+// Approved and pending overtime of an employee, optionally within a date
+// range. Week blocks are dated by their Monday.
+const getOvertimeTotals = async (employeeId, range) => {
+  const match = { employee: employeeId, status: { $ne: "rejected" } };
+  if (range) {
+    match.date = range;
+  }
+  const blocks = await Overtime.find(match);
+
+  const totals = { approvedMinutes: 0, pendingMinutes: 0, weightedMinutes: 0 };
+  blocks.forEach((block) => {
+    if (block.status === "approved") {
+      totals.approvedMinutes += block.minutes;
+      totals.weightedMinutes += block.minutes * block.multiplier;
+    } else {
+      totals.pendingMinutes += block.minutes;
+    }
+  });
+  return totals;
+};
+
+module.exports = {
+  computeOvertimeBlocks,
+  syncOvertime,
+  getOvertimeTotals,
+};
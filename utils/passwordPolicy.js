@@ -0,0 +1,31 @@
+const CompanySettings = require("../models/CompanySettings");
+
+const RULES = [
+  ["requireUppercase", /[A-Z]/, "an uppercase letter"],
+  ["requireLowercase", /[a-z]/, "a lowercase letter"],
+  ["requireNumber", /[0-9]/, "a number"],
+  ["requireSymbol", /[^A-Za-z0-9]/, "a symbol"],
+];
+
+const getPasswordPolicy = async () =>
+  (await CompanySettings.getSettings()).passwordPolicy;
+
+// Why a password does not satisfy the company's policy, or null when it does
+const checkPassword = async (password) => {
+  const policy = await getPasswordPolicy();
+  const missing = RULES.filter(
+    ([flag, pattern]) => policy[flag] && !pattern.test(password)
+  ).map(([, , description]) => description);
+
+  if (password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters${
+      missing.length ? ` and contain ${missing.join(", ")}` : ""
+    }`;
+  }
+  if (missing.length) {
+    return `Password must contain ${missing.join(", ")}`;
+  }
+  return null;
+};
+
+module.exports = { getPasswordPolicy, checkPassword };
@@ -0,0 +1,65 @@
+const crypto = require("crypto");
+const PasswordToken = require("../models/PasswordToken");
+
+const TTL_MINUTES = {
+  invitation: (parseInt(process.env.INVITATION_TTL_HOURS) || 72) * 60,
+  reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+};
+
+// Frontend page where the password is set
+const APP_URL =
+  process.env.APP_URL ||
+  (process.env.NODE_ENV === "production"
+    ? "https://smart-hrm-system.vercel.app"
+    : "http://localhost:5173");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a token for the employee, replacing any unused one with the same
+// purpose so only the latest link works. Returns the link to email.
+const issuePasswordToken = async (employeeId, purpose) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await PasswordToken.deleteMany({
+    employee: employeeId,
+    purpose,
+    usedAt: { $exists: false },
+  });
+  const passwordToken = await PasswordToken.create({
+    employee: employeeId,
+    tokenHash: hashToken(token),
+    purpose,
+    expiresAt: new Date(Date.now() + TTL_MINUTES[purpose] * 60 * 1000),
+  });
+  return {
+    link: `${APP_URL}/set-password?token=${token}`,
+    expiresAt: passwordToken.expiresAt,
+  };
+};
+
+// Atomically mark a token as used. Returns null when it is unknown, expired
+// or already used.
+const consumePasswordToken = (token) =>
+  PasswordToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+// Invalidate every outstanding link of an employee, e.g. once the password
+// has been changed
+const discardPasswordTokens = (employeeId) =>
+  PasswordToken.deleteMany({
+    employee: employeeId,
+    usedAt: { $exists: false },
+  });
+
+module.exports = {
+  issuePasswordToken,
+  consumePasswordToken,
+  discardPasswordTokens,
+};
@@ -0,0 +1,65 @@
+const jwt = require("jsonwebtoken");
+const { issueNonce, consumeNonce } = require("./nonces");
+
+const QR_AUDIENCE = "attendance-qr";
+
+// Lifetime of an employee's personal QR code
+const PERSONAL_TTL_SECONDS = parseInt(process.env.QR_TOKEN_TTL_SECONDS) || 300;
+
+// A kiosk display shows a new QR code every rotation; each code stays valid
+// for two rotations so a scan started just before a refresh still succeeds
+const KIOSK_ROTATION_SECONDS =
+  parseInt(process.env.KIOSK_QR_ROTATION_SECONDS) || 30;
+
+const secret = () => process.env.QR_SECRET || process.env.JWT_SECRET;
+
+const signToken = async (claims, ttlSeconds, nonceOptions) => {
+  const nonce = await issueNonce(
+    claims.kind === "kiosk" ? "kiosk_qr" : "attendance_qr",
+    ttlSeconds,
+    nonceOptions
+  );
+  const token = jwt.sign(claims, secret(), {
+    audience: QR_AUDIENCE,
+    expiresIn: ttlSeconds,
+    jwtid: nonce.value,
+  });
+  return { token, expiresAt: nonce.expiresAt };
+};
+
+// Single-use code identifying one employee
+const issuePersonalToken = (employeeId) =>
+  signToken(
+    { kind: "personal", sub: employeeId.toString() },
+    PERSONAL_TTL_SECONDS,
+    { subject: employeeId }
+  );
+
+// Code shown at a work site, scanned by employees with their own session;
+// each employee can use it once
+const issueKioskToken = (workSiteId) =>
+  signToken(
+    { kind: "kiosk", site: workSiteId.toString() },
+    KIOSK_ROTATION_SECONDS * 2,
+    { singleUse: false }
+  );
+
+// Verify signature, audience and expiry. Throws jsonwebtoken's errors
+// (TokenExpiredError, JsonWebTokenError) for invalid tokens.
+const verifyToken = (token) =>
+  jwt.verify(token, secret(), { audience: QR_AUDIENCE });
+
+const redeemToken = (payload, employeeId) =>
+  consumeNonce(
+    payload.jti,
+    payload.kind === "kiosk" ? "kiosk_qr" : "attendance_qr",
+    employeeId
+  );
+
+module.exports = {
+  KIOSK_ROTATION_SECONDS,
+  issuePersonalToken,
+  issueKioskToken,
+  verifyToken,
+  redeemToken,
+};
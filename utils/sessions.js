@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL_SECONDS =
+  parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const REFRESH_COOKIE = "refresh_token";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(32).toString("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (employee, session) =>
+  jwt.sign(
+    { id: employee._id, role: employee.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+const createSession = async (employee, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    employee: employee._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+  return { session, refreshToken };
+};
+
+// Exchange a refresh token for a new one. Returns null when it is unknown,
+// expired or revoked. Presenting an already replaced token means it was
+// copied, so the session is revoked.
+const rotateRefreshToken = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const next = newRefreshToken();
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      refreshTokenHash: hashToken(next),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: next, reused: false };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousRefreshTokenHash: tokenHash, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  return reused ? { session: reused, reused: true } : null;
+};
+
+const findSessionByRefreshToken = (refreshToken) =>
+  Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+
+const revokeSessions = (filter) =>
+  Session.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+
+// Active sessions only: not revoked and not expired
+const isSessionActive = (session) =>
+  Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+
+// Production serves the frontend from another site, hence SameSite=None
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+});
+
+const REFRESH_COOKIE_OPTIONS = { path: "/api/employees" };
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("token", accessToken, {
+    ...cookieOptions(),
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+  });
+
+  // Also set a backup cookie with different settings for mobile
+  if (process.env.NODE_ENV === "production") {
+    res.cookie("auth_token", accessToken, {
+      httpOnly: false, // Allow JS access as fallback
+      secure: true,
+      sameSite: "strict",
+      maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+    });
+  }
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(),
+    ...REFRESH_COOKIE_OPTIONS,
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+// Clear every cookie set at login, with the options they were set with
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions());
+  if (process.env.NODE_ENV === "production") {
+    res.clearCookie("auth_token", { secure: true, sameSite: "strict" });
+  }
+  res.clearCookie(REFRESH_COOKIE, {
+    ...cookieOptions(),
+    ...REFRESH_COOKIE_OPTIONS,
+  });
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_COOKIE,
+  signAccessToken,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSessions,
+  isSessionActive,
+  setAuthCookies,
+  clearAuthCookies,
+};
@@ -0,0 +1,73 @@
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const Employee = require("../models/Employee");
+const CompanySettings = require("../models/CompanySettings");
+const { checkPassword } = require("./passwordPolicy");
+
+// The first admin is created once, from scripts/createAdmin.js or with
+// SETUP_TOKEN through POST /api/employees/setup. Afterwards setup is marked
+// completed and both refuse to run; later admins are registered by admins.
+
+const isSetupCompleted = async () => {
+  const settings = await CompanySettings.getSettings();
+  return Boolean(settings.setupCompletedAt);
+};
+
+// Whether a presented token matches SETUP_TOKEN, in constant time
+const isValidSetupToken = (token) => {
+  const expected = process.env.SETUP_TOKEN;
+  if (!expected || typeof token !== "string") {
+    return false;
+  }
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(expected));
+};
+
+// Create the first admin. Without a password the caller is expected to send
+// an invitation. Returns { employee }, or { status, message } when refused.
+const createFirstAdmin = async ({ name, email, password, position }) => {
+  if (password) {
+    const invalidPassword = await checkPassword(password);
+    if (invalidPassword) {
+      return { status: 400, message: invalidPassword };
+    }
+  }
+
+  // Claimed atomically so concurrent requests cannot both create an admin
+  const settings = await CompanySettings.getSettings();
+  const claimed = await CompanySettings.findOneAndUpdate(
+    { _id: settings._id, setupCompletedAt: null },
+    { setupCompletedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    return { status: 403, message: "Setup has already been completed" };
+  }
+  // Deployments that had admins before setup existed are completed as is
+  if (await Employee.exists({ role: "admin" })) {
+    return { status: 403, message: "Setup has already been completed" };
+  }
+
+  try {
+    const employee = await Employee.create({
+      name,
+      email,
+      password: await bcrypt.hash(
+        password || crypto.randomBytes(32).toString("hex"),
+        10
+      ),
+      role: "admin",
+      position,
+    });
+    return { employee };
+  } catch (error) {
+    // Let setup be retried, e.g. after a duplicate email
+    await CompanySettings.updateOne(
+      { _id: settings._id },
+      { $unset: { setupCompletedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+module.exports = { isSetupCompleted, isValidSetupToken, createFirstAdmin };
@@ -0,0 +1,220 @@
+const Shift = require("../models/Shift");
+const ShiftAssignment = require("../models/ShiftAssignment");
+const CompanySettings = require("../models/CompanySettings");
+const { dateKey } = require("./workingDays");
+
+const DEFAULT_TIMEZONE = process.env.COMPANY_TIMEZONE || "Africa/Tunis";
+
+// Used when an employee has no assignment and no default shift is configured
+const FALLBACK_SHIFT = {
+  name: "Default",
+  startTime: "09:00",
+  endTime: "17:00",
+  gracePeriodMinutes: 0,
+  breakMinutes: 0,
+  daysOfWeek: [1, 2, 3, 4, 5],
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How long after the end of a shift an open record is considered a forgotten
+// clock-out
+const MISSING_EXIT_GRACE_MINUTES =
+  parseInt(process.env.MISSING_EXIT_GRACE_MINUTES) || 120;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Length of a shift in minutes, breaks included. Overnight shifts end on the
+// following day.
+const shiftLength = (shift) => {
+  const start = toMinutes(shift.startTime);
+  const end = toMinutes(shift.endTime);
+  return end > start ? end - start : end + 24 * 60 - start;
+};
+
+const timezoneOf = (workSite) =>
+  (workSite && workSite.timezone) || DEFAULT_TIMEZONE;
+
+// Calendar day, weekday and minutes since midnight of an instant, as seen in
+// the given time zone
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  const key = [
+    parts.year,
+    String(parts.month).padStart(2, "0"),
+    String(parts.day).padStart(2, "0"),
+  ].join("-");
+  return {
+    dateKey: key,
+    weekday: new Date(`${key}T00:00:00Z`).getUTCDay(),
+    minutes: parts.hour * 60 + parts.minute + parts.second / 60,
+  };
+};
+
+// Shift of an assignment on a calendar day, following its rotation
+const shiftForDay = (assignment, key) => {
+  const elapsedDays = Math.round(
+    (Date.parse(`${key}T00:00:00Z`) -
+      Date.parse(`${dateKey(assignment.startDate)}T00:00:00Z`)) /
+      MS_PER_DAY
+  );
+  const index =
+    Math.floor(elapsedDays / assignment.rotationDays) %
+    assignment.shifts.length;
+  return assignment.shifts[index];
+};
+
+const assignmentSpan = (assignment) =>
+  assignment.endDate ? assignment.endDate - assignment.startDate : Infinity;
+
+// Load an employee's assignments and the default shift once, so callers can
+// resolve the shift of many days without further queries
+const createShiftResolver = async (employeeId) => {
+  const assignments = await ShiftAssignment.find({
+    employee: employeeId,
+  }).populate("shifts");
+  const settings = await CompanySettings.getSettings();
+  const defaultShift =
+    (settings.defaultShift &&
+      (await Shift.findOne({ _id: settings.defaultShift, active: true }))) ||
+    FALLBACK_SHIFT;
+
+  // The most specific assignment covering the day wins, so a single-day
+  // assignment overrides a long-running rotation. Deactivated shifts are
+  // skipped, falling back to the next assignment or the default shift.
+  return (key) => {
+    const covering = assignments
+      .filter(
+        (assignment) =>
+          assignment.shifts.length &&
+          dateKey(assignment.startDate) <= key &&
+          (!assignment.endDate || dateKey(assignment.endDate) >= key)
+      )
+      .sort(
+        (a, b) =>
+          assignmentSpan(a) - assignmentSpan(b) || b.createdAt - a.createdAt
+      );
+    const shift = covering
+      .map((assignment) => shiftForDay(assignment, key))
+      .find((candidate) => candidate && candidate.active !== false);
+    return shift || defaultShift;
+  };
+};
+
+const resolveShift = async (employeeId, date, timeZone = DEFAULT_TIMEZONE) => {
+  const resolve = await createShiftResolver(employeeId);
+  return resolve(getZonedParts(date, timeZone).dateKey);
+};
+
+// Minutes of recorded breaks within a day's attendance. A break still open at
+// exit time ends with the exit.
+const recordedBreakMinutes = (record) =>
+  (record.breaks || []).reduce((total, interval) => {
+    const end = interval.end || record.exitTime;
+    return end ? total + Math.max(0, end - interval.start) / 60000 : total;
+  }, 0);
+
+// Time worked net of breaks. The shift's break allowance is deducted even when
+// a shorter break (or none) was recorded.
+const netWorkedMinutes = (grossMinutes, breakMinutes, shift) =>
+  Math.max(
+    0,
+    grossMinutes - Math.max(breakMinutes, (shift && shift.breakMinutes) || 0)
+  );
+
+// Scheduled working time of a shift, net of its break allowance
+const scheduledMinutes = (shift) =>
+  shiftLength(shift) - (shift.breakMinutes || 0);
+
+// Compare an attendance record with the shift scheduled on its day. Worked
+// time outside the shift's days counts entirely as overtime.
+const evaluateAttendance = (record, shift, timeZone = DEFAULT_TIMEZONE) => {
+  const entry = getZonedParts(record.entryTime, timeZone);
+  const scheduled = shift.daysOfWeek.includes(entry.weekday);
+  const grossMinutes = record.exitTime
+    ? (record.exitTime - record.entryTime) / 60000
+    : 0;
+  const breakMinutes = recordedBreakMinutes(record);
+  const workedMinutes = netWorkedMinutes(grossMinutes, breakMinutes, shift);
+
+  const evaluation = {
+    shift: {
+      name: shift.name,
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+    },
+    scheduled,
+    lateMinutes: 0,
+    earlyDepartureMinutes: 0,
+    grossMinutes: Math.round(grossMinutes),
+    breakMinutes: Math.round(breakMinutes),
+    workedMinutes: Math.round(workedMinutes),
+    overtimeMinutes: 0,
+  };
+  if (!scheduled) {
+    evaluation.overtimeMinutes = evaluation.workedMinutes;
+    return evaluation;
+  }
+
+  const start = toMinutes(shift.startTime);
+  const end = start + shiftLength(shift);
+
+  if (entry.minutes > start + (shift.gracePeriodMinutes || 0)) {
+    evaluation.lateMinutes = Math.round(entry.minutes - start);
+  }
+  if (record.exitTime) {
+    const exitMinutes = entry.minutes + grossMinutes;
+    if (exitMinutes < end) {
+      evaluation.earlyDepartureMinutes = Math.round(end - exitMinutes);
+    }
+    evaluation.overtimeMinutes = Math.max(
+      0,
+      Math.round(workedMinutes - scheduledMinutes(shift))
+    );
+  }
+  return evaluation;
+};
+
+// Latest time an exit can still be recorded for an open record: the end of
+// its shift, or a full shift length after a late entry, plus a grace period
+const exitDeadline = (record, shift, timeZone = DEFAULT_TIMEZONE) => {
+  const entry = getZonedParts(record.entryTime, timeZone);
+  const shiftEnd = toMinutes(shift.startTime) + shiftLength(shift);
+  const remaining = Math.max(shiftEnd - entry.minutes, shiftLength(shift));
+  return new Date(
+    new Date(record.entryTime).getTime() +
+      (remaining + MISSING_EXIT_GRACE_MINUTES) * 60000
+  );
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  FALLBACK_SHIFT,
+  shiftLength,
+  scheduledMinutes,
+  recordedBreakMinutes,
+  netWorkedMinutes,
+  timezoneOf,
+  getZonedParts,
+  createShiftResolver,
+  resolveShift,
+  evaluateAttendance,
+  exitDeadline,
+};
@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+
+// Time-based one-time passwords (RFC 6238) as produced by authenticator
+// apps: 6 digits, 30-second steps, HMAC-SHA1.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps accepted either side of the current one, for clock drift
+const WINDOW = 1;
+const ISSUER = process.env.TOTP_ISSUER || "FLESK HRM";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, "0");
+  });
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = "";
+  encoded
+    .replace(/=+$/, "")
+    .toUpperCase()
+    .split("")
+    .forEach((char) => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error("Invalid base32 secret");
+      }
+      bits += value.toString(2).padStart(5, "0");
+    });
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// New base32 secret of 160 bits, as recommended by RFC 4226
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Time step the code belongs to, or null when it is wrong. Steps up to
+// `lastUsedStep` are refused so a code cannot be used twice.
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+  const now = currentStep();
+  for (let step = now - WINDOW; step <= now + WINDOW; step += 1) {
+    const expected = Buffer.from(codeAt(secret, step));
+    if (
+      step > lastUsedStep &&
+      crypto.timingSafeEqual(expected, Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// URI encoded in the enrollment QR code
+const totpUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { generateTotpSecret, verifyTotp, totpUri };
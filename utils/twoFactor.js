@@ -0,0 +1,111 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Employee = require("../models/Employee");
+const CompanySettings = require("../models/CompanySettings");
+const { verifyTotp } = require("./totp");
+
+// Lifetime of the token issued after the password, until the second step
+const PRE_AUTH_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields needed to check a second factor, which are not loaded by default
+const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// "two_factor" lets the holder submit a code; "two_factor_setup" lets an
+// admin who must use two-factor authentication enroll before signing in.
+// Neither carries a session, so authMiddleware refuses them.
+const signPreAuthToken = (employee, purpose) =>
+  jwt.sign({ id: employee._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: PRE_AUTH_TTL_SECONDS,
+  });
+
+// Employee id of a valid pre-auth token, or null
+const verifyPreAuthToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isTwoFactorRequired = async (employee) =>
+  employee.role === "admin" &&
+  (await CompanySettings.getSettings()).twoFactor.requiredForAdmins;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// Codes shown once to the employee, and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/^(.{5})/, "$1-")
+  );
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Check a TOTP code or a recovery code against an employee loaded with
+// TWO_FACTOR_FIELDS. Both are single use; the updates are conditional so
+// concurrent requests cannot use the same code twice.
+const checkSecondFactor = async (employee, { code, recoveryCode }) => {
+  if (code) {
+    const { secret, lastUsedStep } = employee.twoFactor;
+    const step = secret && verifyTotp(secret, code, lastUsedStep);
+    if (step === null || step === undefined) {
+      return false;
+    }
+    const result = await Employee.updateOne(
+      {
+        _id: employee._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $exists: false } },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await Employee.updateOne(
+      { _id: employee._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+  return false;
+};
+
+const clearTwoFactor = (employeeId) =>
+  Employee.updateOne(
+    { _id: employeeId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    }
+  );
+
+module.exports = {
+  PRE_AUTH_TTL_SECONDS,
+  TWO_FACTOR_FIELDS,
+  signPreAuthToken,
+  verifyPreAuthToken,
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  checkSecondFactor,
+  clearTwoFactor,
+};
@@ -0,0 +1,35 @@
+const WorkSite = require("../models/WorkSite");
+
+// Deployments from before work sites existed checked every attendance
+// against ALLOWED_LAT, ALLOWED_LNG and ALLOWED_RADIUS (with these defaults).
+// When no site exists yet, one is created from them so check-ins keep
+// working until admins configure their sites.
+const LEGACY_SITE_NAME = "Main site";
+
+const seedLegacyWorkSite = async () => {
+  if (await WorkSite.exists({})) {
+    return null;
+  }
+  try {
+    return await WorkSite.create({
+      name: LEGACY_SITE_NAME,
+      geofenceType: "radius",
+      center: {
+        type: "Point",
+        coordinates: [
+          parseFloat(process.env.ALLOWED_LNG) || 8.8362755,
+          parseFloat(process.env.ALLOWED_LAT) || 33.1245286,
+        ],
+      },
+      radius: parseInt(process.env.ALLOWED_RADIUS) || 500,
+    });
+  } catch (error) {
+    // Another instance created it first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = { seedLegacyWorkSite };
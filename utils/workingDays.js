@@ -0,0 +1,95 @@
+const Holiday = require("../models/Holiday");
+const CompanySettings = require("../models/CompanySettings");
+
+// Dates are compared by their UTC calendar day, matching how date-only ISO
+// strings ("2025-03-20") are parsed.
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(23, 59, 59, 999);
+  return day;
+};
+
+// Load the working week and holiday list once so callers can evaluate many
+// dates without further queries
+const loadCalendar = async () => {
+  const settings = await CompanySettings.getSettings();
+  const holidays = await Holiday.find();
+
+  const holidayKeys = new Set();
+  const recurringKeys = new Set();
+  holidays.forEach((holiday) => {
+    const key = dateKey(holiday.date);
+    if (holiday.recurring) {
+      recurringKeys.add(key.slice(5));
+    } else {
+      holidayKeys.add(key);
+    }
+  });
+
+  return {
+    workingDays: new Set(settings.workingDays),
+    holidayKeys,
+    recurringKeys,
+  };
+};
+
+const isHoliday = (date, calendar) => {
+  const key = dateKey(date);
+  return (
+    calendar.holidayKeys.has(key) || calendar.recurringKeys.has(key.slice(5))
+  );
+};
+
+const isWorkingDay = (date, calendar) =>
+  calendar.workingDays.has(new Date(date).getUTCDay()) &&
+  !isHoliday(date, calendar);
+
+// Working days between two dates (inclusive). A half-day request only ever
+// covers a single day and counts as 0.5.
+const countWorkingDays = (startDate, endDate, calendar, halfDay) => {
+  const day = startOfDay(startDate);
+  const end = startOfDay(endDate);
+  let count = 0;
+  while (day <= end) {
+    if (isWorkingDay(day, calendar)) {
+      count += 1;
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return halfDay && count > 0 ? 0.5 : count;
+};
+
+// Working days of a leave that fall inside [rangeStart, rangeEnd]
+const countLeaveDaysInRange = (leave, rangeStart, rangeEnd, calendar) => {
+  const start =
+    rangeStart && startOfDay(rangeStart) > startOfDay(leave.startDate)
+      ? rangeStart
+      : leave.startDate;
+  const end =
+    rangeEnd && startOfDay(rangeEnd) < startOfDay(leave.endDate)
+      ? rangeEnd
+      : leave.endDate;
+  if (startOfDay(start) > startOfDay(end)) {
+    return 0;
+  }
+  return countWorkingDays(start, end, calendar, leave.halfDay);
+};
+
+module.exports = {
+  dateKey,
+  startOfDay,
+  endOfDay,
+  loadCalendar,
+  isHoliday,
+  isWorkingDay,
+  countWorkingDays,
+  countLeaveDaysInRange,
+};